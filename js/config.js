@@ -16,8 +16,33 @@ export const CONFIG = {
         fov: 70,
         near: 0.1,
         far: 1000,
-        initialPosition: { x: 0, y: 3, z: -8 },
-        lookAt: { x: 0, y: 1.1, z: 0 }
+        initialPosition: { x: 0, y: 3, z: -8 }, // Until a van is framed; then only its direction is used
+        lookAt: { x: 0, y: 1.1, z: 0 },
+        
+        // Auto-framing: orbit target, zoom limits and reset position fitted to the
+        // shown van's bounding box and the viewport aspect
+        framing: {
+            enabled: true,
+            padding: 1.05,          // 1 = bounding sphere just touches the nearest view edge
+            minDistanceRatio: 0.6,  // Zoom limits relative to the fitted distance
+            maxDistanceRatio: 1.3,
+            duration: 900           // ms of the transition when switching vans
+        },
+        
+        // Named views: direction from the van's centre towards the camera in van space
+        // (front is +Z, left is +X, turned with the van), `key` is the keyboard shortcut.
+        // Optional `distance` (times the fitted distance) and `target` (van-space offset
+        // from the centre, m). Catalog entries add or override views with `viewpoints`
+        views: {
+            front: { label: 'Front', key: '1', x: 0, y: 0, z: 1 },
+            rear: { label: 'Rear', key: '2', x: 0, y: 0, z: -1 },
+            left: { label: 'Left', key: '3', x: 1, y: 0, z: 0 },
+            right: { label: 'Right', key: '4', x: -1, y: 0, z: 0 },
+            'three-quarter': { label: '3/4', key: '5', x: 1, y: 0.35, z: 1 },
+            'rear-three-quarter': { label: 'Rear 3/4', key: '6', x: -1, y: 0.35, z: -1 },
+            top: { label: 'Top', key: '7', x: 0, y: 1, z: -0.01 }
+        },
+        viewDuration: 700 // ms to tween between views (and back on reset)
     },
 
     // Lighting settings
@@ -71,17 +96,64 @@ export const CONFIG = {
                 distance: 15,
                 castShadow: true
             }
-        ]
+        ],
+
+        // Named presets applied on top of the rig above. Spotlight colours and
+        // intensity scales apply to every spotlight. `environment` is null (none),
+        // 'room' (procedural studio room) or an .hdr/.exr file in environmentsPath
+        presets: {
+            garage: {
+                label: 'Dark garage',
+                ambient: { color: 0x404040, intensity: 0.2 },
+                spotlights: { color: 0xffffff, intensityScale: 1 },
+                environment: null,
+                environmentIntensity: 0
+            },
+            studio: {
+                label: 'Bright studio',
+                ambient: { color: 0xffffff, intensity: 0.6 },
+                spotlights: { color: 0xffffff, intensityScale: 1.3 },
+                environment: 'room',
+                environmentIntensity: 0.8
+            },
+            overcast: {
+                label: 'Overcast outdoor',
+                ambient: { color: 0xdde4ee, intensity: 0.8 },
+                spotlights: { color: 0xdde4ee, intensityScale: 0.3 },
+                environment: 'room',
+                environmentIntensity: 1.2
+            },
+            night: {
+                label: 'Night',
+                ambient: { color: 0x1a2440, intensity: 0.15 },
+                spotlights: { color: 0x8899ff, intensityScale: 0.4 },
+                environment: null,
+                environmentIntensity: 0
+            }
+        },
+        defaultPreset: 'garage',
+        shadowMapSize: 2048, // Until the quality manager picks a tier
+        environmentsPath: 'assets/environments/',
+        transitionDuration: 800, // ms
+        storageKey: 'vanscans-lighting-preset' // sessionStorage
     },
 
     // Renderer settings
     renderer: {
-        antialias: true,
+        antialias: true, // Master switch; quality tiers turn MSAA on and off
         shadowsEnabled: true,
         shadowType: 2, // PCFSoftShadowMap
         toneMapping: 0, // NoToneMapping (can use ACESFilmicToneMapping = 4)
         toneMappingExposure: 1.0,
-        pixelRatio: Math.min(window.devicePixelRatio, 2)
+        pixelRatio: Math.min(typeof window !== 'undefined' ? window.devicePixelRatio : 1, 2), // config is also read by the Node scripts
+        msaaSamples: 4, // Used when the quality tier has antialias on
+
+        // Post effects (quality tiers with postEffects on)
+        bloom: {
+            strength: 0.25,
+            radius: 0.4,
+            threshold: 0.9
+        }
     },
 
     // Model settings
@@ -95,29 +167,53 @@ export const CONFIG = {
             rotation: { x: 0, y: 0, z: 0 }
         },
         
+        // Wheel catalog (wheels.json in basePath): [{ id, name, filename, rim, tyre }]
+        // Without a catalog the single defaultFilename wheel is used
+        wheels: {
+            basePath: 'models/vans/wheel/',
+            catalog: 'wheels.json',
+            defaultFilename: 'wheel.glb',
+            mounts: ['FL', 'FR', 'RL', 'RR'] // Null objects in a van scan that wheels attach to
+        },
+        
         // Vans configuration
         vans: {
             basePath: 'models/vans/',
             defaultScale: 1.0,
             defaultPosition: { x: 0, y: 0.42, z: 0 },
+            defaultRotation: { x: 0, y: Math.PI, z: 0 },
             
             // Van naming pattern: van-001.glb, van-002.glb, etc.
             filenamePattern: 'van-',
             fileExtension: '.glb',
             
-            // List of available vans (will be dynamically loaded in future versions)
-            list: [
-                {
-                    id: 'van-001',
-                    name: 'Van 001',
-                    filename: 'van-001.glb',
-                    thumbnail: 'thumbnails/van-001.jpg',
-                    scale: 1.0,
-                    position: { x: 0, y: 0.42, z: 0 },
-                    rotation: { x: 0, y: Math.PI, z: 0 }
+            // Van catalog (relative to basePath). Each entry may override
+            // name, make, model, year, tags, thumbnail, scale, position and rotation,
+            // and point `hotspots` at a sidecar JSON (relative to basePath).
+            // `wheel` picks a wheel catalog ID and `tyreDiameter` (metres) scales the wheel to fit.
+            // `viewpoints` adds named camera views for the van (same shape as camera.views).
+            // Optional `added` (ISO date), `polygonCount` and `fileSize` feed selector sorting
+            catalog: 'vans.json',
+            
+            // Fallback when no catalog exists: probe van-001 .. van-NNN with HEAD requests
+            probeCount: 100,
+            
+            // Loaded van cache (least recently used vans are evicted and disposed)
+            cache: {
+                maxVans: 6,
+                maxMegabytes: 512,  // Estimated GPU memory (geometry + textures)
+                pinNeighbours: 1    // Previous/next vans kept alongside the current one
+            },
+            
+            // Background loading of the pinned neighbours and hovered vans
+            prefetch: {
+                enabled: true,
+                concurrency: 1,
+                priority: {
+                    hover: 0,       // Vans hovered in the selector load first
+                    neighbour: 1    // Then next / previous of the current van
                 }
-                // More vans will be added here or loaded dynamically
-            ],
+            },
             
             // Helper function to generate van filename from number
             getFilename: (vanNumber) => {
@@ -150,6 +246,12 @@ export const CONFIG = {
         }
     },
 
+    // Asset validation against models.recommended (same checks as `npm run validate`)
+    validation: {
+        enabled: true,
+        showPanel: false // Dev panel with the results; also shown with ?dev in the URL
+    },
+
     // Controls settings
     controls: {
         enableDamping: true,
@@ -158,25 +260,167 @@ export const CONFIG = {
         zoomSpeed: 1.0,
         panSpeed: 0.5,
         enablePan: false,  // Disable panning
-        minDistance: 3,
+        minDistance: 3,  // Until a van is framed (see camera.framing)
         maxDistance: 5,
         minPolarAngle: Math.PI / 2,  // Lock to horizontal (90 degrees)
         maxPolarAngle: Math.PI / 2,  // Lock to horizontal (90 degrees)
         autoRotate: true,  // Enable auto-rotation
-        autoRotateSpeed: -1  // Negative for counter-clockwise rotation
+        autoRotateSpeed: -1,  // Negative for counter-clockwise rotation
+
+        // Inspect mode: free orbit for roofs, undersides and wheel arches
+        inspect: {
+            minPolarAngle: 0.05,     // Almost straight down
+            floorHeight: 0,          // The camera is kept above floorHeight + floorClearance
+            floorClearance: 0.15,
+            minDistanceRatio: 0.25,  // Zoom limits relative to the fitted distance
+            maxDistanceRatio: 1.6,
+            panMargin: 0.5,          // How far (m) the target may be panned outside the van's bounds
+            duration: 700            // ms to ease back to the turntable on exit
+        }
+    },
+
+    // First-person walk mode through the garage
+    walk: {
+        eyeHeight: 1.6,         // m above floorHeight
+        floorHeight: 0,
+        speed: 1.6,             // m/s
+        runMultiplier: 2.2,     // While Shift is held
+        radius: 0.35,           // Collision radius around the viewer (m)
+        wallMargin: 0.3,        // Extra distance kept from the garage bounds (m)
+        lookSpeed: 0.0025,      // Radians per pixel of mouse / touch drag
+        maxPitch: 1.3,          // Radians up or down
+        joystickRadius: 50,     // px the joystick knob can travel
+        handoffDuration: 800    // ms to glide between the orbit camera and eye height
+    },
+
+    // Measurement tool settings
+    measure: {
+        units: 'metric',       // 'metric' or 'imperial'
+        snapToVertices: true,
+        snapPixels: 12,        // Snap to a triangle corner closer than this on screen
+        clickTolerance: 5,     // Max pointer travel (px) for a click (vs. an orbit drag)
+        color: 0xff0000,
+        markerRadius: 0.015
+    },
+
+    // Wheels cloned onto the FL/FR/RL/RR nulls of each van
+    // Vans drive along their local +Z (the front of the model)
+    wheels: {
+        steerAngle: 25,   // Degrees the front wheels turn for hero shots (positive = left)
+        steerSpeed: 90,   // Degrees per second while turning
+        driveIn: {
+            enabled: true,
+            distance: 6,     // Metres the van rolls in from behind its bay
+            duration: 1500   // ms
+        }
+    },
+
+    // Paint / material configurator
+    // A material is repaintable when its name matches materialPattern or its
+    // glTF extras set { "repaintable": true } (on the material or the mesh)
+    paint: {
+        materialPattern: /paint|body/i,
+        replaceTexture: true, // Painted materials drop the scanned base colour texture
+        palette: [
+            { name: 'Polar White', color: '#f2f2ee' },
+            { name: 'Jet Black', color: '#111111' },
+            { name: 'Signal Red', color: '#b3121b' },
+            { name: 'Atlantic Blue', color: '#1f4e79' },
+            { name: 'Sage Green', color: '#7d8f69' },
+            { name: 'Sand Beige', color: '#d4c19c' },
+            { name: 'Silver', color: '#b8bcc0' }
+        ],
+        finishes: {
+            gloss: { label: 'Gloss', roughness: 0.2, metalness: 0.05 },
+            matte: { label: 'Matte', roughness: 0.9, metalness: 0 },
+            metallic: { label: 'Metallic', roughness: 0.35, metalness: 0.8 }
+        }
+    },
+
+    // Comparison mode settings
+    comparison: {
+        gap: 1.0             // Clear space between the two vans' bounds (m); the pair is framed like one van
+    },
+
+    // Van selector thumbnails (rendered in-app and by scripts/generate-thumbnails.mjs)
+    thumbnails: {
+        version: 2,         // Bump to invalidate cached thumbnails (2: tone mapped, sRGB)
+        width: 256,
+        height: 192,
+        quality: 0.85,      // JPEG quality
+        fov: 35,
+        padding: 1.05,      // Extra room around the bounding sphere
+        // Front-left three-quarter view (vans face -Z)
+        direction: { x: -1, y: 0.45, z: -1 },
+        backgroundColor: 0x111111
+    },
+
+    // Screenshot / turntable export settings
+    export: {
+        resolutions: {
+            '1080p': { width: 1920, height: 1080 },
+            '1440p': { width: 2560, height: 1440 },
+            '4K': { width: 3840, height: 2160 }
+        },
+        defaultResolution: '4K',
+        verifyColors: false,            // Compare screenshots with the on-screen frame (also with ?dev in the URL)
+        colorTolerance: 3,              // Mean difference per channel (0-255) accepted by that check
+        turntable: {
+            frames: 120,                 // Frames per 360° turn
+            fps: 30,                     // WebM playback rate
+            videoBitsPerSecond: 20000000,
+            mimeTypes: ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+        }
+    },
+
+    // Hotspot settings
+    hotspots: {
+        visible: true,
+        nodePrefix: 'HS_',          // Empties named HS_* in a van GLB become hotspots
+        occlusionInterval: 200,     // ms between occlusion raycasts (scans are dense)
+        occlusionTolerance: 0.05    // Surface this close to the hotspot doesn't hide it
     },
 
     // Performance settings
     performance: {
         showFPS: true,
         targetFPS: 60,
-        enableStats: true
+        enableStats: true,
+
+        // Only render when something changes (camera motion, loads, animations,
+        // lighting fades, input). Auto-rotate stops after idleTimeout ms without
+        // interaction and resumes on the next one (0 = never stop)
+        renderOnDemand: {
+            enabled: true,
+            idleTimeout: 60000
+        },
+
+        // Adaptive quality: tiers from cheapest to best. Measured FPS below
+        // targetFPS * downgradeRatio steps down, above targetFPS * upgradeRatio steps up
+        quality: {
+            tiers: [
+                { name: 'low', maxPixelRatio: 0.75, antialias: false, shadowMapSize: 512, shadowCasters: 1, postEffects: false },
+                { name: 'medium', maxPixelRatio: 1, antialias: false, shadowMapSize: 1024, shadowCasters: 2, postEffects: false },
+                { name: 'high', maxPixelRatio: 1.5, antialias: true, shadowMapSize: 2048, shadowCasters: 4, postEffects: false },
+                { name: 'ultra', maxPixelRatio: 2, antialias: true, shadowMapSize: 2048, shadowCasters: 4, postEffects: true }
+            ],
+            defaultTier: 'high',
+            sampleWindow: 2000,     // ms of frames averaged per decision
+            cooldown: 3000,         // ms after a tier change before the next decision
+            downgradeRatio: 0.85,
+            upgradeRatio: 0.97,
+            upgradeBackoff: 30000,  // ms before retrying a tier that was too slow
+            storageKey: 'vanscans-quality' // localStorage (manual override)
+        }
     },
 
     // UI settings
     ui: {
         showLoadingScreen: true,
         showControls: true,
-        showModelInfo: true
+        showModelInfo: true,
+        keymap: {
+            storageKey: 'vanscans-keymap' // localStorage (user's rebound shortcuts)
+        }
     }
 };
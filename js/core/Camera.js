@@ -7,6 +7,15 @@ export class CameraManager {
         this.camera = null;
         this.controls = null;
         this.renderer = renderer;
+        this.currentView = null; // Name of the last applied view (null after manual reset)
+        this.viewpoint = null; // { direction, distance } of a hotspot viewpoint the controls hold (see setViewpoint())
+        this.frame = null; // { box, target, distance, minDistance, maxDistance, orientation, viewpoints } of the shown van
+        this.transition = null; // Eased move to a new frame or view (see update())
+        this.onViewChange = null; // Called with the view name (or null) when the current view changes
+        this.inspecting = false; // Inspect mode: free elevation, panning, wider zoom
+        this.turntableState = null; // Where to return when leaving inspect mode
+        this.onInspectChange = null; // Called with true/false when inspect mode is toggled
+        this.activeCamera = null; // Camera rendered instead of the orbit camera (walk mode)
         this.setupCamera();
     }
 
@@ -53,41 +62,502 @@ export class CameraManager {
             CONFIG.camera.lookAt.z
         );
 
+        // Manual input ends a transition where it is headed
+        this.controls.addEventListener('start', () => this.finishTransition());
+
         this.controls.update();
     }
 
+    /**
+     * Camera to render and raycast with: the walk camera while walking, else the orbit camera
+     */
     getCamera() {
+        return this.activeCamera || this.camera;
+    }
+
+    getOrbitCamera() {
         return this.camera;
     }
 
+    /**
+     * Render another camera instead of the orbit camera (null to hand back)
+     * Orbit input is off meanwhile; the orbit camera keeps its state for the handoff back
+     */
+    setActiveCamera(camera) {
+        this.activeCamera = camera;
+        this.controls.enabled = !camera;
+    }
+
     getControls() {
         return this.controls;
     }
 
+    /**
+     * @returns {boolean} - True if the camera moved (auto-rotate, damping, transitions, user input)
+     */
     update() {
-        if (this.controls) {
+        if (!this.controls) return false;
+
+        // The controls run after the transition so damping carries on smoothly once it ends
+        const transitioning = this.updateTransition();
+        if (this.inspecting && !transitioning) {
+            this.constrainInspect();
+        }
+        return this.controls.update() || transitioning;
+    }
+
+    /**
+     * Fit the orbit target, zoom limits and reset distance to a van's bounding box
+     * The camera keeps its direction and relative zoom (or the current named view)
+     * and eases to the new frame
+     * @param {THREE.Box3} box - World-space bounds of the van
+     * @param {Object} options - { animate, orientation: van quaternion, viewpoints: catalog views }
+     */
+    frameBox(box, { animate = true, orientation = null, viewpoints = null } = {}) {
+        const settings = CONFIG.camera.framing;
+        if (!settings.enabled || !box || box.isEmpty()) return;
+
+        const resting = this.getRestingState();
+        const previousFrame = this.frame;
+        this.frame = this.computeFrame(box, orientation, viewpoints);
+        this.viewpoint = null; // Hotspot viewpoints belong to the previous van
+
+        // Keep the named view on the new van if it has it
+        const view = this.currentView ? this.getViewpoint(this.currentView) : null;
+        if (this.currentView && !view) {
+            this.setCurrentView(null);
+        }
+        if (view) {
+            this.startTransition(view.target, view.distance, view.direction, animate ? CONFIG.camera.viewDuration : 0);
+            return;
+        }
+
+        const endDistance = THREE.MathUtils.clamp(
+            previousFrame ? resting.distance / previousFrame.distance * this.frame.distance : this.frame.distance,
+            this.frame.minDistance,
+            this.frame.maxDistance
+        );
+        this.startTransition(this.frame.target, endDistance, null, animate ? settings.duration : 0);
+    }
+
+    /**
+     * Target, fit distance and zoom limits for a bounding box at the current aspect
+     */
+    computeFrame(box, orientation = null, viewpoints = null) {
+        const settings = CONFIG.camera.framing;
+        const sphere = box.getBoundingSphere(new THREE.Sphere());
+        const distance = this.getFitDistance(sphere.radius);
+
+        return {
+            box: box.clone(),
+            target: sphere.center,
+            distance: distance,
+            minDistance: distance * settings.minDistanceRatio,
+            maxDistance: distance * settings.maxDistanceRatio,
+            orientation: orientation ? orientation.clone() : new THREE.Quaternion(),
+            viewpoints: viewpoints
+        };
+    }
+
+    /**
+     * Distance at which a bounding sphere fits the view (narrowest of vertical and horizontal FOV)
+     */
+    getFitDistance(radius) {
+        const verticalHalf = THREE.MathUtils.degToRad(this.camera.fov) / 2;
+        const horizontalHalf = Math.atan(Math.tan(verticalHalf) * this.camera.aspect);
+        return radius / Math.sin(Math.min(verticalHalf, horizontalHalf)) * CONFIG.camera.framing.padding;
+    }
+
+    /**
+     * Named views for the shown van: CONFIG.camera.views plus the catalog's `viewpoints`
+     * @returns {Array} - [{ name, label, key }]
+     */
+    getViews() {
+        const views = { ...CONFIG.camera.views, ...(this.frame && this.frame.viewpoints) };
+        return Object.entries(views).map(([name, view]) => ({
+            name: name,
+            label: view.label || name,
+            key: view.key || null
+        }));
+    }
+
+    /**
+     * World-space placement of a named view (directions and offsets are in van space)
+     * @returns {Object|null} - { target, distance, direction }, null if the view doesn't exist
+     */
+    getViewpoint(viewName) {
+        const viewpoints = (this.frame && this.frame.viewpoints) || {};
+        const view = viewpoints[viewName] || CONFIG.camera.views[viewName];
+        if (!view) return null;
+
+        const orientation = this.frame ? this.frame.orientation : new THREE.Quaternion();
+        const direction = new THREE.Vector3(view.x, view.y, view.z).normalize().applyQuaternion(orientation);
+        const target = this.frame ? this.frame.target.clone() : this.getRestingState().target;
+        if (view.target) {
+            target.add(new THREE.Vector3(view.target.x || 0, view.target.y || 0, view.target.z || 0).applyQuaternion(orientation));
+        }
+        const distance = this.frame
+            ? this.frame.distance * (view.distance || 1)
+            : this.getRestingState().distance;
+
+        return { target, distance, direction };
+    }
+
+    /**
+     * Where the camera settles: the end of a running transition, else where it is
+     * @returns {Object} - { target, distance }
+     */
+    getRestingState() {
+        if (this.transition) {
+            return { target: this.transition.endTarget.clone(), distance: this.transition.endDistance };
+        }
+        return {
+            target: this.controls.target.clone(),
+            distance: this.camera.position.distanceTo(this.controls.target)
+        };
+    }
+
+    /**
+     * Ease the orbit target, distance and (optionally) direction to a new placement
+     * Without a direction the controls keep steering, so auto-rotate carries on
+     * @param {THREE.Vector3} target - End target
+     * @param {number} distance - End distance
+     * @param {THREE.Vector3|null} direction - End direction from the target (normalized)
+     * @param {number} duration - ms (0 = jump)
+     */
+    startTransition(target, distance, direction, duration) {
+        const startDistance = this.camera.position.distanceTo(this.controls.target);
+        this.transition = {
+            startTarget: this.controls.target.clone(),
+            endTarget: target.clone(),
+            startDistance: startDistance,
+            endDistance: distance,
+            startDirection: new THREE.Spherical().setFromVector3(
+                this.camera.position.clone().sub(this.controls.target)
+            ),
+            endDirection: direction ? new THREE.Spherical().setFromVector3(direction) : null,
+            startTime: performance.now(),
+            duration: duration
+        };
+
+        // Let the camera pass outside the current limits on the way
+        this.controls.minDistance = Math.min(startDistance, distance, this.controls.minDistance);
+        this.controls.maxDistance = Math.max(startDistance, distance, this.controls.maxDistance);
+        if (direction) {
+            this.controls.minPolarAngle = 0;
+            this.controls.maxPolarAngle = Math.PI;
+        }
+
+        if (duration <= 0) {
+            this.finishTransition();
+        }
+    }
+
+    /**
+     * Step the running transition (smoothstep easing, shortest way around)
+     * @returns {boolean} - True while transitioning
+     */
+    updateTransition() {
+        const transition = this.transition;
+        if (!transition) return false;
+
+        const t = Math.min((performance.now() - transition.startTime) / transition.duration, 1);
+        const eased = t * t * (3 - 2 * t); // Smoothstep
+
+        this.placeCamera(
+            transition.startTarget.clone().lerp(transition.endTarget, eased),
+            THREE.MathUtils.lerp(transition.startDistance, transition.endDistance, eased),
+            this.interpolateDirection(transition, eased)
+        );
+
+        if (t === 1) {
+            this.transition = null;
+            this.applyFrameLimits();
+        }
+        return true;
+    }
+
+    interpolateDirection(transition, t) {
+        if (!transition.endDirection) return null;
+
+        const start = transition.startDirection;
+        const end = transition.endDirection;
+        let deltaTheta = (end.theta - start.theta) % (Math.PI * 2);
+        if (deltaTheta > Math.PI) deltaTheta -= Math.PI * 2;
+        if (deltaTheta < -Math.PI) deltaTheta += Math.PI * 2;
+
+        return new THREE.Vector3().setFromSpherical(new THREE.Spherical(
+            1,
+            THREE.MathUtils.lerp(start.phi, end.phi, t),
+            start.theta + deltaTheta * t
+        ));
+    }
+
+    finishTransition() {
+        const transition = this.transition;
+        if (!transition) return;
+
+        this.transition = null;
+        this.placeCamera(
+            transition.endTarget,
+            transition.endDistance,
+            transition.endDirection ? new THREE.Vector3().setFromSpherical(transition.endDirection) : null
+        );
+        this.applyFrameLimits();
+    }
+
+    /**
+     * Place the orbit target and the camera (keeping its direction unless one is given)
+     */
+    placeCamera(target, distance, direction = null) {
+        const offset = direction || this.camera.position.clone().sub(this.controls.target).normalize();
+        this.controls.target.copy(target);
+        this.camera.position.copy(target).addScaledVector(offset, distance);
+    }
+
+    /**
+     * Zoom limits from the frame, elevation locked to the current view's
+     * (CONFIG.controls outside a view, CONFIG.controls.inspect in inspect mode)
+     */
+    applyFrameLimits() {
+        if (this.inspecting) {
+            const inspect = CONFIG.controls.inspect;
+            const distance = this.frame ? this.frame.distance : CONFIG.controls.maxDistance;
+            this.controls.minDistance = distance * inspect.minDistanceRatio;
+            this.controls.maxDistance = distance * inspect.maxDistanceRatio;
+            this.controls.minPolarAngle = inspect.minPolarAngle;
+            this.controls.maxPolarAngle = Math.PI; // Floor limit applied every frame (constrainInspect)
+            this.includeViewpointDistance();
+            return;
+        }
+
+        this.controls.minDistance = this.frame ? this.frame.minDistance : CONFIG.controls.minDistance;
+        this.controls.maxDistance = this.frame ? this.frame.maxDistance : CONFIG.controls.maxDistance;
+        this.includeViewpointDistance();
+
+        const view = this.currentView ? this.getViewpoint(this.currentView) : this.viewpoint;
+        if (view) {
+            const phi = new THREE.Spherical().setFromVector3(view.direction).phi;
+            this.controls.minPolarAngle = phi;
+            this.controls.maxPolarAngle = phi;
+        } else {
+            this.controls.minPolarAngle = CONFIG.controls.minPolarAngle;
+            this.controls.maxPolarAngle = CONFIG.controls.maxPolarAngle;
+        }
+    }
+
+    /**
+     * Widen the zoom limits so a hotspot viewpoint closer or further than the frame allows stays put
+     */
+    includeViewpointDistance() {
+        if (!this.viewpoint) return;
+        this.controls.minDistance = Math.min(this.controls.minDistance, this.viewpoint.distance);
+        this.controls.maxDistance = Math.max(this.controls.maxDistance, this.viewpoint.distance);
+    }
+
+    /**
+     * Toggle inspect mode: unlocked elevation (kept above the floor), panning and a
+     * wider zoom range. Leaving it eases back to where the turntable was
+     * @param {boolean} enabled - Inspect mode on/off
+     */
+    setInspectMode(enabled) {
+        if (enabled === this.inspecting) return;
+
+        if (enabled) {
+            this.finishTransition();
+            const offset = this.camera.position.clone().sub(this.controls.target);
+            this.turntableState = {
+                direction: offset.clone().normalize(),
+                distanceRatio: this.frame ? offset.length() / this.frame.distance : null,
+                distance: offset.length(),
+                target: this.controls.target.clone(),
+                autoRotate: this.controls.autoRotate,
+                view: this.currentView
+            };
+
+            this.inspecting = true;
+            this.controls.enablePan = true;
+            this.controls.autoRotate = false;
+            this.applyFrameLimits();
             this.controls.update();
+            this.notifyInspectChange();
+            return;
         }
+
+        const state = this.turntableState;
+        this.leaveInspectMode();
+
+        // Back to the view or turntable position (re-fitted if the van changed meanwhile)
+        if (state && state.view && this.getViewpoint(state.view)) {
+            this.setView(state.view);
+            return;
+        }
+
+        const duration = CONFIG.controls.inspect.duration;
+        const target = this.frame ? this.frame.target : (state ? state.target : this.controls.target);
+        const distance = this.frame && state && state.distanceRatio
+            ? THREE.MathUtils.clamp(state.distanceRatio * this.frame.distance, this.frame.minDistance, this.frame.maxDistance)
+            : (state ? state.distance : this.camera.position.distanceTo(this.controls.target));
+
+        // Direction on the turntable: current heading, at the locked elevation
+        const spherical = new THREE.Spherical().setFromVector3(this.camera.position.clone().sub(this.controls.target));
+        if (state) {
+            spherical.phi = new THREE.Spherical().setFromVector3(state.direction).phi;
+        }
+        spherical.phi = THREE.MathUtils.clamp(spherical.phi, CONFIG.controls.minPolarAngle, CONFIG.controls.maxPolarAngle);
+
+        this.setCurrentView(null);
+        this.controls.autoRotate = state ? state.autoRotate : CONFIG.controls.autoRotate;
+        this.startTransition(
+            target,
+            distance,
+            new THREE.Vector3().setFromSpherical(new THREE.Spherical(1, spherical.phi, spherical.theta)),
+            duration
+        );
+        this.controls.update();
     }
 
-    resetCamera() {
-        this.camera.position.set(
+    /**
+     * Restore the turntable constraints (the caller decides where the camera goes)
+     */
+    leaveInspectMode() {
+        this.inspecting = false;
+        this.turntableState = null;
+        this.controls.enablePan = CONFIG.controls.enablePan;
+        this.notifyInspectChange();
+    }
+
+    notifyInspectChange() {
+        console.log(`Inspect mode ${this.inspecting ? 'on' : 'off'}`);
+        if (this.onInspectChange) {
+            this.onInspectChange(this.inspecting);
+        }
+    }
+
+    isInspecting() {
+        return this.inspecting;
+    }
+
+    /**
+     * Keep the panned target near the van and the camera above the floor
+     */
+    constrainInspect() {
+        const inspect = CONFIG.controls.inspect;
+        const target = this.controls.target;
+
+        if (this.frame) {
+            const bounds = this.frame.box.clone().expandByScalar(inspect.panMargin);
+            const clamped = target.clone().clamp(bounds.min, bounds.max);
+            if (!clamped.equals(target)) {
+                this.camera.position.add(clamped.clone().sub(target));
+                target.copy(clamped);
+            }
+        }
+
+        // Largest polar angle that keeps the camera above floorHeight + floorClearance
+        const distance = this.camera.position.distanceTo(target);
+        const minY = inspect.floorHeight + inspect.floorClearance;
+        const cosLimit = THREE.MathUtils.clamp((minY - target.y) / distance, -1, 1);
+        this.controls.maxPolarAngle = Math.max(Math.acos(cosLimit), inspect.minPolarAngle);
+    }
+
+    /**
+     * Back to the start position: the configured direction at the framed distance
+     * (CONFIG.camera.initialPosition / lookAt until a van is framed); leaves inspect mode
+     * @param {Object} options - { animate: ease over CONFIG.camera.viewDuration }
+     */
+    resetCamera({ animate = true } = {}) {
+        const initial = new THREE.Vector3(
             CONFIG.camera.initialPosition.x,
             CONFIG.camera.initialPosition.y,
             CONFIG.camera.initialPosition.z
         );
-        
-        this.controls.target.set(
-            CONFIG.camera.lookAt.x,
-            CONFIG.camera.lookAt.y,
-            CONFIG.camera.lookAt.z
+        const lookAt = new THREE.Vector3(CONFIG.camera.lookAt.x, CONFIG.camera.lookAt.y, CONFIG.camera.lookAt.z);
+        // Start direction, within the elevation limits the controls return to
+        const spherical = new THREE.Spherical().setFromVector3(initial.clone().sub(lookAt));
+        spherical.phi = THREE.MathUtils.clamp(spherical.phi, CONFIG.controls.minPolarAngle, CONFIG.controls.maxPolarAngle);
+        const direction = new THREE.Vector3().setFromSpherical(new THREE.Spherical(1, spherical.phi, spherical.theta));
+
+        if (this.inspecting) {
+            this.leaveInspectMode();
+        }
+        this.setCurrentView(null);
+        this.controls.autoRotate = CONFIG.controls.autoRotate;
+        this.startTransition(
+            this.frame ? this.frame.target : lookAt,
+            this.frame ? this.frame.distance : initial.distanceTo(lookAt),
+            direction,
+            animate ? CONFIG.camera.viewDuration : 0
         );
-        
         this.controls.update();
     }
 
+    /**
+     * Move the camera to a named view (see getViews()), fitted to the shown van
+     * Auto-rotation is stopped and the elevation locked so the view stays put
+     * @param {string} viewName - Name of the view (e.g., 'rear')
+     * @param {Object} options - { animate: ease over CONFIG.camera.viewDuration }
+     * @returns {boolean} - False if the view doesn't exist
+     */
+    setView(viewName, { animate = true } = {}) {
+        const view = this.getViewpoint(viewName);
+        if (!view) {
+            console.warn(`Unknown camera view: ${viewName}`);
+            return false;
+        }
+
+        this.setCurrentView(viewName);
+        this.controls.autoRotate = false;
+        this.startTransition(view.target, view.distance, view.direction, animate ? CONFIG.camera.viewDuration : 0);
+        this.controls.update();
+
+        return true;
+    }
+
+    /**
+     * Ease the camera to an explicit position / look-at target (world space, e.g. a hotspot)
+     * Auto-rotation is stopped, the elevation locked to the viewpoint's and its distance
+     * allowed by the zoom limits so it shows as authored
+     * @param {THREE.Vector3} position - Camera position
+     * @param {THREE.Vector3} target - Look-at target
+     * @param {Object} options - { animate: ease over CONFIG.camera.viewDuration }
+     */
+    setViewpoint(position, target, { animate = true } = {}) {
+        const offset = position.clone().sub(target);
+
+        this.setCurrentView(null);
+        this.viewpoint = { direction: offset.clone().normalize(), distance: offset.length() };
+        this.controls.autoRotate = false;
+        this.startTransition(target, this.viewpoint.distance, this.viewpoint.direction, animate ? CONFIG.camera.viewDuration : 0);
+        this.controls.update();
+    }
+
+    getCurrentView() {
+        return this.currentView;
+    }
+
+    setCurrentView(viewName) {
+        this.currentView = viewName;
+        this.viewpoint = null; // A named view or reset replaces the hotspot viewpoint
+        if (this.onViewChange) {
+            this.onViewChange(viewName);
+        }
+    }
+
     onWindowResize() {
         this.camera.aspect = window.innerWidth / window.innerHeight;
         this.camera.updateProjectionMatrix();
+        if (this.activeCamera) {
+            this.activeCamera.aspect = this.camera.aspect;
+            this.activeCamera.updateProjectionMatrix();
+        }
+
+        // The fit distance depends on the aspect; refit the limits, leave the camera where it is
+        if (this.frame) {
+            this.frame = this.computeFrame(this.frame.box, this.frame.orientation, this.frame.viewpoints);
+            if (!this.transition) {
+                this.applyFrameLimits();
+            }
+        }
     }
 }
@@ -1,11 +1,27 @@
 import * as THREE from 'three';
+import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
+import { EXRLoader } from 'three/addons/loaders/EXRLoader.js';
+import { RoomEnvironment } from 'three/addons/environments/RoomEnvironment.js';
 import { CONFIG } from '../config.js';
 
 export class LightingManager {
-    constructor(scene) {
+    constructor(scene, renderer) {
         this.scene = scene;
+        this.renderer = renderer;
         this.lights = [];
+        this.ambientLight = null;
+        this.spotlights = []; // { light, baseIntensity }
+
+        this.pmremGenerator = new THREE.PMREMGenerator(renderer);
+        this.environments = new Map(); // PMREM textures by environment key
+        this.environmentIntensity = 0;
+        this.presetName = null;
+        this.transition = null;
+        this.onPresetChange = null; // Called with (presetName)
+        this.onTransitionStart = null; // Called when lights start fading to a preset
+
         this.setupLights();
+        this.setPreset(this.getSavedPreset(), { immediate: true });
     }
 
     setupLights() {
@@ -16,6 +32,7 @@ export class LightingManager {
         );
         this.scene.add(ambientLight);
         this.lights.push(ambientLight);
+        this.ambientLight = ambientLight;
 
         // Add spotlights (garage ceiling lights)
         CONFIG.lighting.spotlights.forEach((lightConfig, index) => {
@@ -44,8 +61,8 @@ export class LightingManager {
 
             if (lightConfig.castShadow) {
                 spotlight.castShadow = true;
-                spotlight.shadow.mapSize.width = 2048;
-                spotlight.shadow.mapSize.height = 2048;
+                spotlight.shadow.mapSize.width = CONFIG.lighting.shadowMapSize;
+                spotlight.shadow.mapSize.height = CONFIG.lighting.shadowMapSize;
                 spotlight.shadow.camera.near = 0.5;
                 spotlight.shadow.camera.far = 20;
                 spotlight.shadow.bias = -0.001;  // Increased to reduce shadow acne
@@ -56,6 +73,11 @@ export class LightingManager {
 
             this.scene.add(spotlight);
             this.lights.push(spotlight);
+            this.spotlights.push({
+                light: spotlight,
+                baseIntensity: lightConfig.intensity,
+                castShadow: !!lightConfig.castShadow
+            });
 
             // Add pink helper sphere to visualize light position
             const helperGeometry = new THREE.SphereGeometry(0.1, 16, 16);
@@ -75,4 +97,196 @@ export class LightingManager {
             this.lights[index].intensity = intensity;
         }
     }
+
+    /**
+     * Shadow quality (driven by QualityManager)
+     * @param {number} mapSize - Shadow map width/height in pixels
+     * @param {number} casterCount - How many of the shadow-casting spotlights keep their shadows
+     */
+    setShadowQuality(mapSize, casterCount) {
+        let casters = 0;
+        this.spotlights.forEach(({ light, castShadow }) => {
+            light.castShadow = castShadow && casters < casterCount;
+            if (light.castShadow) casters++;
+
+            if (light.shadow.mapSize.width !== mapSize) {
+                light.shadow.mapSize.set(mapSize, mapSize);
+                // Reallocated at the new size on the next shadow render
+                if (light.shadow.map) {
+                    light.shadow.map.dispose();
+                    light.shadow.map = null;
+                }
+            }
+        });
+    }
+
+    /**
+     * Preset saved for this browser session, else CONFIG.lighting.defaultPreset
+     */
+    getSavedPreset() {
+        try {
+            const saved = sessionStorage.getItem(CONFIG.lighting.storageKey);
+            if (saved && CONFIG.lighting.presets[saved]) return saved;
+        } catch (error) {
+            // sessionStorage unavailable (privacy mode)
+        }
+        return CONFIG.lighting.defaultPreset;
+    }
+
+    getPresetName() {
+        return this.presetName;
+    }
+
+    /**
+     * Switch to a named lighting preset, fading lights over CONFIG.lighting.transitionDuration
+     * @param {string} name - Key of CONFIG.lighting.presets
+     * @param {Object} options - { immediate: skip the transition }
+     * @returns {Promise<boolean>} - False for unknown presets or if superseded by another switch
+     */
+    async setPreset(name, { immediate = false } = {}) {
+        const preset = CONFIG.lighting.presets[name];
+        if (!preset) {
+            console.warn(`Unknown lighting preset: ${name}`);
+            return false;
+        }
+
+        this.presetName = name;
+        try {
+            sessionStorage.setItem(CONFIG.lighting.storageKey, name);
+        } catch (error) {
+            // sessionStorage unavailable (privacy mode)
+        }
+        if (this.onPresetChange) {
+            this.onPresetChange(name);
+        }
+
+        const environment = await this.loadEnvironment(preset.environment);
+        if (this.presetName !== name) return false;
+
+        const from = this.getLightState();
+        const to = {
+            ambientColor: new THREE.Color(preset.ambient.color),
+            ambientIntensity: preset.ambient.intensity,
+            spotColor: new THREE.Color(preset.spotlights.color),
+            spotScale: preset.spotlights.intensityScale,
+            environmentIntensity: environment ? preset.environmentIntensity : 0
+        };
+
+        // A new environment map fades in from zero; a removed one fades out before it is dropped
+        if (environment && environment !== this.scene.environment) {
+            this.scene.environment = environment;
+            from.environmentIntensity = 0;
+        }
+
+        this.transition = {
+            from: from,
+            to: to,
+            environment: environment,
+            start: performance.now(),
+            duration: immediate ? 0 : CONFIG.lighting.transitionDuration
+        };
+        this.update();
+        if (this.onTransitionStart) {
+            this.onTransitionStart();
+        }
+
+        console.log(`Lighting preset: ${preset.label}`);
+        return true;
+    }
+
+    getLightState() {
+        const spot = this.spotlights[0];
+        return {
+            ambientColor: this.ambientLight.color.clone(),
+            ambientIntensity: this.ambientLight.intensity,
+            spotColor: spot ? spot.light.color.clone() : new THREE.Color(0xffffff),
+            spotScale: spot ? spot.light.intensity / spot.baseIntensity : 1,
+            environmentIntensity: this.environmentIntensity
+        };
+    }
+
+    /**
+     * Advance the preset transition (call once per frame)
+     * @returns {boolean} - True while a transition is running
+     */
+    update() {
+        if (!this.transition) return false;
+
+        const { from, to, start, duration } = this.transition;
+        const progress = duration > 0 ? Math.min((performance.now() - start) / duration, 1) : 1;
+        const t = THREE.MathUtils.smoothstep(progress, 0, 1);
+
+        this.ambientLight.color.lerpColors(from.ambientColor, to.ambientColor, t);
+        this.ambientLight.intensity = THREE.MathUtils.lerp(from.ambientIntensity, to.ambientIntensity, t);
+
+        const spotScale = THREE.MathUtils.lerp(from.spotScale, to.spotScale, t);
+        this.spotlights.forEach(({ light, baseIntensity }) => {
+            light.color.lerpColors(from.spotColor, to.spotColor, t);
+            light.intensity = baseIntensity * spotScale;
+        });
+
+        this.environmentIntensity = THREE.MathUtils.lerp(from.environmentIntensity, to.environmentIntensity, t);
+        this.applyEnvironmentIntensity(this.scene);
+
+        if (progress >= 1) {
+            this.scene.environment = this.transition.environment;
+            this.transition = null;
+        }
+        return true;
+    }
+
+    /**
+     * Set envMapIntensity on every standard material under an object
+     * (call for models added after a preset switch)
+     */
+    applyEnvironmentIntensity(object) {
+        object.traverse((child) => {
+            if (!child.isMesh) return;
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.forEach(material => {
+                if (material && material.isMeshStandardMaterial) {
+                    material.envMapIntensity = this.environmentIntensity;
+                }
+            });
+        });
+    }
+
+    /**
+     * Load and prefilter (PMREM) an environment map
+     * @param {string|null} environment - null, 'room' or a .hdr/.exr filename in CONFIG.lighting.environmentsPath
+     * @returns {Promise<THREE.Texture|null>} - Null when none is set or loading fails
+     */
+    async loadEnvironment(environment) {
+        if (!environment) return null;
+        if (this.environments.has(environment)) {
+            return this.environments.get(environment);
+        }
+
+        let texture = null;
+        try {
+            if (environment === 'room') {
+                const room = new RoomEnvironment(this.renderer);
+                texture = this.pmremGenerator.fromScene(room, 0.04).texture;
+                room.dispose();
+            } else {
+                const Loader = environment.toLowerCase().endsWith('.exr') ? EXRLoader : RGBELoader;
+                const equirect = await new Loader().loadAsync(CONFIG.lighting.environmentsPath + environment);
+                texture = this.pmremGenerator.fromEquirectangular(equirect).texture;
+                equirect.dispose();
+            }
+        } catch (error) {
+            console.warn(`Failed to load environment ${environment}:`, error);
+            return null;
+        }
+
+        this.environments.set(environment, texture);
+        return texture;
+    }
+
+    dispose() {
+        this.scene.environment = null;
+        this.environments.forEach(texture => texture.dispose());
+        this.environments.clear();
+        this.pmremGenerator.dispose();
+    }
 }
@@ -0,0 +1,108 @@
+import { CONFIG } from '../config.js';
+
+/**
+ * RenderScheduler - Decides whether the render loop needs another frame
+ * and stops auto-rotation when the user has been idle
+ */
+export class RenderScheduler {
+    constructor(cameraManager) {
+        this.cameraManager = cameraManager;
+        this.settings = CONFIG.performance.renderOnDemand;
+
+        this.framesRequested = 1; // Always draw the first frame
+        this.lastInteractionTime = performance.now();
+        this.idleTimer = null;
+        this.idleEnabled = true;
+        this.autoRotatePausedByIdle = false;
+        this.onWake = null; // Called when a frame is requested (restart the loop if it sleeps)
+
+        this.setupEventListeners();
+        this.scheduleIdleCheck(this.settings.idleTimeout);
+    }
+
+    setupEventListeners() {
+        // Capture phase so auto-rotate is restored before shortcuts (e.g. views) turn it off again
+        ['pointerdown', 'pointermove', 'wheel', 'keydown', 'touchstart'].forEach(type => {
+            window.addEventListener(type, () => this.onInteraction(), { capture: true, passive: true });
+        });
+    }
+
+    /**
+     * Ask for one more frame (call every frame while something animates)
+     * @param {number} frames - Minimum number of frames to draw
+     */
+    requestRender(frames = 1) {
+        this.framesRequested = Math.max(this.framesRequested, frames);
+        if (this.onWake) {
+            this.onWake();
+        }
+    }
+
+    /**
+     * Whether the loop should schedule another frame after the current one
+     */
+    needsFrame() {
+        return !this.settings.enabled || this.framesRequested > 0;
+    }
+
+    /**
+     * Whether the frame being drawn is the last before the loop sleeps
+     * (nothing has asked for another one yet)
+     */
+    isLastFrame() {
+        return this.settings.enabled && this.framesRequested <= 1;
+    }
+
+    frameRendered() {
+        if (this.framesRequested > 0) {
+            this.framesRequested--;
+        }
+    }
+
+    onInteraction() {
+        this.lastInteractionTime = performance.now();
+
+        if (this.autoRotatePausedByIdle) {
+            this.autoRotatePausedByIdle = false;
+            this.cameraManager.getControls().autoRotate = true;
+            console.log('Auto-rotate resumed');
+        }
+
+        this.requestRender();
+    }
+
+    /**
+     * Turn the idle timeout off while something else drives the camera (e.g. exports)
+     */
+    setIdleEnabled(enabled) {
+        this.idleEnabled = enabled;
+        this.lastInteractionTime = performance.now();
+    }
+
+    scheduleIdleCheck(delay) {
+        if (!this.settings.idleTimeout) return;
+
+        clearTimeout(this.idleTimer);
+        this.idleTimer = setTimeout(() => this.checkIdle(), delay);
+    }
+
+    checkIdle() {
+        const idleFor = performance.now() - this.lastInteractionTime;
+        if (idleFor < this.settings.idleTimeout) {
+            this.scheduleIdleCheck(this.settings.idleTimeout - idleFor);
+            return;
+        }
+
+        const controls = this.cameraManager.getControls();
+        if (this.idleEnabled && controls && controls.autoRotate) {
+            controls.autoRotate = false;
+            this.autoRotatePausedByIdle = true;
+            console.log('Idle, auto-rotate stopped');
+        }
+        this.scheduleIdleCheck(this.settings.idleTimeout);
+    }
+
+    dispose() {
+        clearTimeout(this.idleTimer);
+    }
+}
@@ -1,21 +1,34 @@
 import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
 import { CONFIG } from '../config.js';
 
 export class RendererManager {
     constructor(container) {
         this.container = container;
         this.renderer = null;
+        this.composer = null; // Created the first time a quality setting needs it
+        this.exportOutputPass = null; // Tone mapping + sRGB for offscreen renders (see renderToImageData())
+        this.quality = {
+            pixelRatio: CONFIG.renderer.pixelRatio,
+            antialias: CONFIG.renderer.antialias,
+            postEffects: false
+        };
         this.setupRenderer();
     }
 
     setupRenderer() {
+        // The context itself is never multisampled so antialiasing can be switched
+        // at runtime; MSAA happens on the composer's render target instead
         this.renderer = new THREE.WebGLRenderer({
-            antialias: CONFIG.renderer.antialias,
+            antialias: false,
             alpha: false
         });
 
         // Set renderer properties
-        this.renderer.setPixelRatio(CONFIG.renderer.pixelRatio);
+        this.renderer.setPixelRatio(this.quality.pixelRatio);
         this.renderer.setSize(window.innerWidth, window.innerHeight);
         
         // Enable shadows
@@ -44,14 +57,177 @@ export class RendererManager {
     }
 
     render(scene, camera) {
-        this.renderer.render(scene, camera);
+        if (this.usesComposer()) {
+            this.renderPass.scene = scene;
+            this.renderPass.camera = camera;
+            this.composer.render();
+        } else {
+            this.renderer.render(scene, camera);
+        }
+    }
+
+    /**
+     * MSAA and post effects need the composer; otherwise render straight to the canvas
+     */
+    usesComposer() {
+        return this.quality.antialias || this.quality.postEffects;
+    }
+
+    setupComposer() {
+        const size = this.renderer.getSize(new THREE.Vector2());
+        const renderTarget = new THREE.WebGLRenderTarget(size.x, size.y, {
+            type: THREE.HalfFloatType
+        });
+
+        this.composer = new EffectComposer(this.renderer, renderTarget);
+        this.renderPass = new RenderPass(null, null);
+        this.bloomPass = new UnrealBloomPass(
+            size,
+            CONFIG.renderer.bloom.strength,
+            CONFIG.renderer.bloom.radius,
+            CONFIG.renderer.bloom.threshold
+        );
+        this.composer.addPass(this.renderPass);
+        this.composer.addPass(this.bloomPass);
+        this.composer.addPass(new OutputPass());
+    }
+
+    /**
+     * Apply quality settings (see CONFIG.performance.quality.tiers)
+     * @param {Object} quality - { pixelRatio, antialias, postEffects }
+     */
+    setQuality({ pixelRatio, antialias, postEffects }) {
+        this.quality = {
+            pixelRatio: pixelRatio,
+            antialias: antialias && CONFIG.renderer.antialias,
+            postEffects: postEffects
+        };
+
+        if (this.usesComposer() && !this.composer) {
+            this.setupComposer();
+        }
+
+        if (this.composer) {
+            const samples = this.quality.antialias ? CONFIG.renderer.msaaSamples : 0;
+            [this.composer.renderTarget1, this.composer.renderTarget2].forEach(target => {
+                if (target.samples !== samples) {
+                    target.samples = samples;
+                    target.dispose(); // Reallocated with the new sample count on next use
+                }
+            });
+            this.bloomPass.enabled = this.quality.postEffects;
+        }
+
+        this.onWindowResize();
+    }
+
+    /**
+     * Render a single frame offscreen at any resolution (clamped to GPU limits)
+     * three.js skips tone mapping and the sRGB conversion when rendering into a render
+     * target, so the scene goes into a linear half-float target first and an OutputPass
+     * applies both into the 8-bit target that is read back (same colors as on screen)
+     * @param {THREE.Scene} scene - Scene to render
+     * @param {THREE.PerspectiveCamera} camera - Camera to render from
+     * @param {number} width - Output width in pixels
+     * @param {number} height - Output height in pixels
+     * @param {Object} options - { transparent: clear to alpha 0 instead of the clear color }
+     * @returns {ImageData} - Rendered pixels, top row first
+     */
+    renderToImageData(scene, camera, width, height, { transparent = false } = {}) {
+        const maxSize = Math.min(
+            this.renderer.capabilities.maxTextureSize,
+            this.renderer.capabilities.maxRenderbufferSize || Infinity
+        );
+        if (width > maxSize || height > maxSize) {
+            const scale = maxSize / Math.max(width, height);
+            console.warn(`Export size ${width}×${height} exceeds GPU limit ${maxSize}, scaling down`);
+            width = Math.floor(width * scale);
+            height = Math.floor(height * scale);
+        }
+
+        const sceneTarget = new THREE.WebGLRenderTarget(width, height, {
+            samples: CONFIG.renderer.antialias ? CONFIG.renderer.msaaSamples : 0,
+            type: THREE.HalfFloatType
+        });
+        const outputTarget = new THREE.WebGLRenderTarget(width, height);
+        if (!this.exportOutputPass) {
+            this.exportOutputPass = new OutputPass();
+        }
+
+        // Save state we're about to change
+        const previousAspect = camera.aspect;
+        const previousClearColor = this.renderer.getClearColor(new THREE.Color());
+        const previousClearAlpha = this.renderer.getClearAlpha();
+
+        camera.aspect = width / height;
+        camera.updateProjectionMatrix();
+        if (transparent) {
+            this.renderer.setClearColor(0x000000, 0);
+        }
+
+        const pixels = new Uint8Array(width * height * 4);
+        try {
+            this.renderer.setRenderTarget(sceneTarget);
+            this.renderer.render(scene, camera);
+            this.exportOutputPass.render(this.renderer, outputTarget, sceneTarget);
+            this.renderer.readRenderTargetPixels(outputTarget, 0, 0, width, height, pixels);
+        } finally {
+            this.renderer.setRenderTarget(null);
+            this.renderer.setClearColor(previousClearColor, previousClearAlpha);
+            camera.aspect = previousAspect;
+            camera.updateProjectionMatrix();
+            sceneTarget.dispose();
+            outputTarget.dispose();
+        }
+
+        // WebGL reads bottom row first; flip for canvas / PNG
+        const imageData = new ImageData(width, height);
+        const rowSize = width * 4;
+        for (let y = 0; y < height; y++) {
+            const sourceStart = (height - y - 1) * rowSize;
+            imageData.data.set(pixels.subarray(sourceStart, sourceStart + rowSize), y * rowSize);
+        }
+
+        return imageData;
+    }
+
+    /**
+     * Render at a fixed pixel size (e.g. while recording video); the canvas keeps its CSS size
+     * Call onWindowResize() to go back to the window size
+     */
+    setRenderSize(width, height) {
+        this.renderer.setPixelRatio(1);
+        this.renderer.setSize(width, height, false);
+        if (this.composer) {
+            this.composer.setPixelRatio(1);
+            this.composer.setSize(width, height);
+        }
     }
 
     onWindowResize() {
+        // setSize reallocates (and clears) the drawing buffer; skip it when nothing changed
+        const size = this.renderer.getSize(new THREE.Vector2());
+        if (this.renderer.getPixelRatio() === this.quality.pixelRatio
+            && size.x === window.innerWidth && size.y === window.innerHeight) {
+            return;
+        }
+
+        this.renderer.setPixelRatio(this.quality.pixelRatio);
         this.renderer.setSize(window.innerWidth, window.innerHeight);
+        if (this.composer) {
+            this.composer.setPixelRatio(this.quality.pixelRatio);
+            this.composer.setSize(window.innerWidth, window.innerHeight);
+        }
     }
 
     dispose() {
+        if (this.composer) {
+            this.composer.dispose();
+            this.bloomPass.dispose();
+        }
+        if (this.exportOutputPass) {
+            this.exportOutputPass.dispose();
+        }
         this.renderer.dispose();
     }
 }
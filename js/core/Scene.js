@@ -4,6 +4,7 @@ import { CONFIG } from '../config.js';
 export class SceneManager {
     constructor() {
         this.scene = new THREE.Scene();
+        this.ground = null;
         this.setupScene();
     }
 
@@ -36,6 +37,7 @@ export class SceneManager {
         ground.receiveShadow = true;
         ground.position.y = 0;
         this.scene.add(ground);
+        this.ground = ground;
 
         // Add grid helper for development
         const gridHelper = new THREE.GridHelper(100, 100, 0x444444, 0x222222);
@@ -46,6 +48,22 @@ export class SceneManager {
         return this.scene;
     }
 
+    /**
+     * Show or hide the background color, fog and ground plane
+     * (used for transparent exports)
+     */
+    setBackgroundVisible(visible) {
+        this.scene.background = visible ? new THREE.Color(CONFIG.scene.backgroundColor) : null;
+        if (CONFIG.scene.fog.enabled) {
+            this.scene.fog = visible
+                ? new THREE.Fog(CONFIG.scene.fog.color, CONFIG.scene.fog.near, CONFIG.scene.fog.far)
+                : null;
+        }
+        if (this.ground) {
+            this.ground.visible = visible;
+        }
+    }
+
     addObject(object) {
         this.scene.add(object);
     }
@@ -2,8 +2,32 @@ import { SceneManager } from './core/Scene.js';
 import { CameraManager } from './core/Camera.js';
 import { RendererManager } from './core/Renderer.js';
 import { LightingManager } from './core/Lighting.js';
+import { RenderScheduler } from './core/RenderScheduler.js';
 import { VanManager } from './managers/VanManager.js';
+import { MeasurementManager } from './managers/MeasurementManager.js';
+import { HotspotManager } from './managers/HotspotManager.js';
+import { ExportManager } from './managers/ExportManager.js';
+import { ThumbnailManager } from './managers/ThumbnailManager.js';
+import { QualityManager } from './managers/QualityManager.js';
+import { AnimationManager } from './managers/AnimationManager.js';
+import { MaterialManager } from './managers/MaterialManager.js';
+import { WalkManager } from './managers/WalkManager.js';
 import { UIController } from './ui/UIController.js';
+import { MeasurePanel } from './ui/MeasurePanel.js';
+import { HotspotPanel } from './ui/HotspotPanel.js';
+import { ComparisonPanel } from './ui/ComparisonPanel.js';
+import { ExportPanel } from './ui/ExportPanel.js';
+import { LightingPanel } from './ui/LightingPanel.js';
+import { ViewPanel } from './ui/ViewPanel.js';
+import { QualityPanel } from './ui/QualityPanel.js';
+import { AnimationPanel } from './ui/AnimationPanel.js';
+import { WheelPanel } from './ui/WheelPanel.js';
+import { PaintPanel } from './ui/PaintPanel.js';
+import { ValidationPanel } from './ui/ValidationPanel.js';
+import { WalkPanel } from './ui/WalkPanel.js';
+import { ShortcutPanel } from './ui/ShortcutPanel.js';
+import { HistoryState } from './utils/HistoryState.js';
+import { Keymap } from './utils/Keymap.js';
 import { CONFIG } from './config.js';
 
 /**
@@ -24,19 +48,124 @@ class GarageApp {
             this.rendererManager = new RendererManager(this.container);
             this.sceneManager = new SceneManager();
             this.cameraManager = new CameraManager(this.rendererManager.getRenderer());
-            this.lightingManager = new LightingManager(this.sceneManager.getScene());
+            this.lightingManager = new LightingManager(
+                this.sceneManager.getScene(),
+                this.rendererManager.getRenderer()
+            );
             
             // Setup camera controls
             this.cameraManager.setupControls(this.rendererManager.getDomElement());
             
+            // Render only when something changes
+            this.renderScheduler = new RenderScheduler(this.cameraManager);
+            this.lightingManager.onTransitionStart = () => this.renderScheduler.requestRender();
+            
             // Initialize managers
             this.vanManager = new VanManager(
                 this.sceneManager,
                 (progress, url) => this.onLoadProgress(progress, url)
             );
             
-            // Initialize UI
-            this.uiController = new UIController(this.vanManager, this.cameraManager);
+            // Thumbnails are rendered for every van that loads (shown or prefetched)
+            this.thumbnailManager = new ThumbnailManager(this.rendererManager, this.vanManager);
+            this.materialManager = new MaterialManager(this.vanManager);
+            this.vanManager.onVanLoaded = (vanData) => {
+                this.lightingManager.applyEnvironmentIntensity(vanData.model);
+                this.materialManager.applyStoredConfiguration(vanData).catch(error => {
+                    console.warn(`Failed to configure materials for ${vanData.config.id}:`, error);
+                });
+                setTimeout(() => {
+                    this.thumbnailManager.generate(vanData).catch(error => {
+                        console.warn(`Failed to generate thumbnail for ${vanData.config.id}:`, error);
+                    });
+                }, 0);
+            };
+            this.vanManager.onVanUnloaded = (vanId, vanData) => this.materialManager.releaseModel(vanData.model);
+            this.vanManager.onCurrentVanChange = (vanData) => {
+                this.cameraManager.frameBox(vanData.bounds, {
+                    orientation: vanData.model.quaternion,
+                    viewpoints: vanData.config.viewpoints
+                });
+                this.viewPanel.populateViews();
+            };
+            
+            // Initialize UI (van, view and paint are kept in the URL;
+            // features register their keyboard shortcuts with the keymap)
+            this.historyState = new HistoryState();
+            this.keymap = new Keymap();
+            this.uiController = new UIController(
+                this.vanManager,
+                this.cameraManager,
+                this.historyState,
+                this.keymap,
+                this.thumbnailManager,
+                this.materialManager
+            );
+            
+            // Initialize tools
+            this.measurementManager = new MeasurementManager(
+                this.sceneManager,
+                this.cameraManager,
+                this.vanManager,
+                this.rendererManager.getDomElement(),
+                document.getElementById('measure-labels')
+            );
+            this.measurementManager.onSceneChange = () => this.renderScheduler.requestRender();
+            this.measurePanel = new MeasurePanel(this.measurementManager, this.keymap);
+            this.hotspotManager = new HotspotManager(
+                this.cameraManager,
+                this.vanManager,
+                this.rendererManager.getDomElement(),
+                document.getElementById('hotspot-markers')
+            );
+            this.hotspotManager.onSceneChange = () => this.renderScheduler.requestRender();
+            this.hotspotPanel = new HotspotPanel(this.hotspotManager, this.keymap);
+            this.animationManager = new AnimationManager(this.vanManager);
+            this.animationManager.onSceneChange = () => this.renderScheduler.requestRender();
+            this.animationPanel = new AnimationPanel(this.animationManager);
+            this.wheelPanel = new WheelPanel(this.vanManager);
+            this.paintPanel = new PaintPanel(this.materialManager, this.vanManager, this.uiController);
+            this.validationPanel = new ValidationPanel(this.vanManager);
+            this.vanManager.onSceneChange = () => {
+                this.renderScheduler.requestRender();
+                this.wheelPanel.render();
+                this.paintPanel.render();
+                this.validationPanel.render();
+            };
+            this.comparisonPanel = new ComparisonPanel(this.vanManager, this.cameraManager, this.uiController);
+            this.exportManager = new ExportManager(
+                this.rendererManager,
+                this.sceneManager,
+                this.cameraManager,
+                this.vanManager
+            );
+            // Exports drive the camera themselves; keep the render loop out of the way
+            // (and capture from the orbit camera)
+            this.exportManager.onCaptureStart = () => {
+                this.walkManager.setEnabled(false, { immediate: true });
+                this.pause();
+                this.renderScheduler.setIdleEnabled(false);
+            };
+            this.exportManager.onCaptureEnd = () => {
+                this.renderScheduler.setIdleEnabled(true);
+                this.onWindowResize();
+                this.start();
+            };
+            this.exportPanel = new ExportPanel(this.exportManager, this.uiController);
+            this.lightingPanel = new LightingPanel(this.lightingManager, this.keymap);
+            this.viewPanel = new ViewPanel(this.cameraManager, this.uiController, this.keymap);
+            this.walkManager = new WalkManager(
+                this.cameraManager,
+                this.vanManager,
+                this.rendererManager.getDomElement(),
+                document.getElementById('walk-joystick')
+            );
+            this.walkPanel = new WalkPanel(this.walkManager, this.keymap);
+            this.qualityManager = new QualityManager(this.rendererManager, this.lightingManager);
+            this.qualityManager.onTierApplied = () => this.renderScheduler.requestRender();
+            this.qualityPanel = new QualityPanel(this.qualityManager);
+            this.shortcutPanel = new ShortcutPanel(this.keymap);
+            this.renderScheduler.onWake = () => this.wake();
             
             // Setup event listeners
             this.setupEventListeners();
@@ -60,26 +189,25 @@ class GarageApp {
         try {
             // Load garage model
             await this.vanManager.loadGarage();
+            this.lightingManager.applyEnvironmentIntensity(this.sceneManager.getScene());
             
             // Detect available vans
             this.uiController.showLoading('Detecting available vans...');
             await this.vanManager.detectAvailableVans();
             
             // Update UI with detected vans
+            this.uiController.populateVanFilters();
             this.uiController.populateVanList();
             
-            // Load first van if available
+            // Load the van from the URL, or the first van if available
             const vans = this.vanManager.getAvailableVans();
             if (vans.length > 0) {
-                this.uiController.showLoading(`Loading ${vans[0].name}...`);
-                await this.vanManager.loadVan(vans[0].id);
-                this.uiController.updateModelInfo(this.vanManager.getCurrentVanInfo());
-                
-                // Mark first van as active in UI
-                const firstVanItem = document.querySelector(`[data-van-id="${vans[0].id}"]`);
-                if (firstVanItem) {
-                    firstVanItem.classList.add('active');
-                }
+                const urlState = this.historyState.read();
+                const initialVan = vans.find(van => van.id === urlState.van) || vans[0];
+                this.uiController.showLoading(`Loading ${initialVan.name}...`);
+
+                const restoredState = await this.uiController.restoreState(urlState);
+                this.historyState.replace(restoredState);
             }
             
             this.uiController.hideLoading();
@@ -91,14 +219,18 @@ class GarageApp {
     }
 
     setupEventListeners() {
-        // Window resize
-        window.addEventListener('resize', () => this.onWindowResize(), false);
+        // Window resize (applied after an export finishes if one is running)
+        window.addEventListener('resize', () => {
+            if (!this.exportManager.isCapturing) {
+                this.onWindowResize();
+            }
+        }, false);
         
         // Visibility change (pause when hidden)
         document.addEventListener('visibilitychange', () => {
             if (document.hidden) {
                 this.pause();
-            } else {
+            } else if (!this.exportManager.isCapturing) {
                 this.start();
             }
         });
@@ -107,6 +239,7 @@ class GarageApp {
     onWindowResize() {
         this.cameraManager.onWindowResize();
         this.rendererManager.onWindowResize();
+        this.renderScheduler.requestRender();
     }
 
     onLoadProgress(percent, url) {
@@ -116,7 +249,19 @@ class GarageApp {
     start() {
         if (!this.isRunning) {
             this.isRunning = true;
-            this.animate();
+            this.renderScheduler.requestRender();
+            this.wake();
+        }
+    }
+
+    /**
+     * Restart the render loop if it went to sleep (nothing to render)
+     */
+    wake() {
+        if (this.isRunning && !this.animationId) {
+            this.qualityManager.resetSamples();
+            this.uiController.resetFPS();
+            this.animationId = requestAnimationFrame(() => this.animate());
         }
     }
 
@@ -131,10 +276,23 @@ class GarageApp {
     animate() {
         if (!this.isRunning) return;
         
-        this.animationId = requestAnimationFrame(() => this.animate());
+        // Update controls, walking, lighting fades, drive-in/steering and van animations;
+        // keep rendering while any of them moves
+        const cameraMoved = this.cameraManager.update();
+        const walking = this.walkManager.update();
+        const lightingChanged = this.lightingManager.update();
+        const vanMoving = this.vanManager.update();
+        const animating = this.animationManager.update();
+        if (cameraMoved || walking || lightingChanged || vanMoving || animating) {
+            this.renderScheduler.requestRender();
+        }
+        
+        // Keep measurement labels and hotspot markers on their anchors
+        this.measurementManager.update();
+        this.hotspotManager.update(this.renderScheduler.isLastFrame());
         
-        // Update controls
-        this.cameraManager.update();
+        // Adapt quality to measured frame time
+        this.qualityManager.update();
         
         // Update FPS counter
         if (CONFIG.performance.showFPS) {
@@ -146,12 +304,31 @@ class GarageApp {
             this.sceneManager.getScene(),
             this.cameraManager.getCamera()
         );
+        
+        // Schedule the next frame only if something is still changing
+        this.renderScheduler.frameRendered();
+        if (this.renderScheduler.needsFrame()) {
+            this.animationId = requestAnimationFrame(() => this.animate());
+        } else {
+            this.animationId = null;
+            if (CONFIG.performance.showFPS) {
+                this.uiController.showFPSIdle();
+            }
+        }
     }
 
     dispose() {
         this.pause();
         this.rendererManager.dispose();
+        this.measurementManager.dispose();
+        this.hotspotManager.dispose();
+        this.walkManager.dispose();
+        this.animationManager.dispose();
+        this.thumbnailManager.dispose();
+        this.materialManager.dispose();
         this.vanManager.dispose();
+        this.lightingManager.dispose();
+        this.renderScheduler.dispose();
     }
 }
 
@@ -0,0 +1,181 @@
+import * as THREE from 'three';
+
+/**
+ * AnimationManager - Plays the current van's embedded GLB animation clips
+ * (doors, tailgates, pop-top roofs). Clips play once and hold their last
+ * frame; the mixer is released (restoring the rest pose) when the van is
+ * hidden or evicted
+ */
+export class AnimationManager {
+    constructor(vanManager) {
+        this.vanManager = vanManager;
+
+        this.vanId = null; // Van the mixer belongs to
+        this.model = null;
+        this.mixer = null;
+        this.actions = new Map(); // AnimationAction by clip name
+        this.lastTime = null; // performance.now() of the last update while playing
+        this.onChange = null; // Called when the clip list changes (van switched)
+        this.onTick = null; // Called after every update that advanced a clip
+        this.onSceneChange = null; // Called when a clip is started, paused or scrubbed (request a render)
+    }
+
+    /**
+     * Build the mixer for the van on screen, releasing the previous one
+     */
+    syncCurrentVan() {
+        const vanData = this.vanManager.getCurrentVanInfo();
+        const visible = vanData && vanData.model.visible;
+        const vanId = visible ? vanData.config.id : null;
+        const model = visible ? vanData.model : null;
+        if (vanId === this.vanId && model === this.model) return;
+
+        this.releaseMixer();
+        this.vanId = vanId;
+        this.model = model;
+
+        if (visible && vanData.animations && vanData.animations.length > 0) {
+            this.mixer = new THREE.AnimationMixer(model);
+            vanData.animations.forEach(clip => {
+                const action = this.mixer.clipAction(clip);
+                action.setLoop(THREE.LoopOnce, 1);
+                action.clampWhenFinished = true;
+                this.actions.set(clip.name, action);
+            });
+            console.log(`${vanId}: ${this.actions.size} animation clip(s)`);
+        }
+
+        if (this.onChange) {
+            this.onChange(this.getClips());
+        }
+    }
+
+    releaseMixer() {
+        if (!this.mixer) return;
+
+        this.mixer.stopAllAction(); // Restores the van's rest pose
+        this.actions.forEach(action => this.mixer.uncacheClip(action.getClip()));
+        this.mixer.uncacheRoot(this.model);
+        this.mixer = null;
+        this.actions.clear();
+        this.lastTime = null;
+    }
+
+    /**
+     * Clip state for the UI
+     * @returns {Array} - [{ name, duration, time, playing, reversed }]
+     */
+    getClips() {
+        return Array.from(this.actions.entries()).map(([name, action]) => ({
+            name: name,
+            duration: action.getClip().duration,
+            time: action.time,
+            playing: this.isPlaying(action),
+            reversed: action.timeScale < 0
+        }));
+    }
+
+    hasClips() {
+        return this.actions.size > 0;
+    }
+
+    isPlaying(action) {
+        return action.isRunning();
+    }
+
+    /**
+     * Play a clip in its current direction (from the start if it already finished)
+     */
+    play(name) {
+        const action = this.actions.get(name);
+        if (!action) return;
+
+        const duration = action.getClip().duration;
+        const reversed = action.timeScale < 0;
+        const atEnd = reversed ? action.time <= 0 : action.time >= duration;
+
+        if (!action.isScheduled() || atEnd) {
+            const time = atEnd ? (reversed ? duration : 0) : action.time;
+            action.reset();
+            action.time = time;
+        }
+        action.paused = false;
+        action.play();
+        this.notifySceneChange();
+    }
+
+    pause(name) {
+        const action = this.actions.get(name);
+        if (action) {
+            action.paused = true;
+            this.notifySceneChange();
+        }
+    }
+
+    /**
+     * Flip the playing direction and play (e.g. close an open door)
+     */
+    reverse(name) {
+        const action = this.actions.get(name);
+        if (!action) return;
+
+        action.timeScale = -action.timeScale;
+        this.play(name);
+    }
+
+    /**
+     * Jump to a time in a clip (pauses it)
+     * @param {string} name - Clip name
+     * @param {number} time - Seconds from the start of the clip
+     */
+    scrub(name, time) {
+        const action = this.actions.get(name);
+        if (!action) return;
+
+        if (!action.isScheduled()) {
+            action.reset();
+            action.play();
+        }
+        action.paused = true;
+        action.enabled = true;
+        action.time = THREE.MathUtils.clamp(time, 0, action.getClip().duration);
+        this.mixer.update(0);
+        this.notifySceneChange();
+    }
+
+    notifySceneChange() {
+        if (this.onSceneChange) {
+            this.onSceneChange();
+        }
+    }
+
+    /**
+     * Advance playing clips (call once per frame)
+     * @returns {boolean} - True while a clip is playing
+     */
+    update() {
+        this.syncCurrentVan();
+        if (!this.mixer) return false;
+
+        const playing = Array.from(this.actions.values()).some(action => this.isPlaying(action));
+        if (!playing) {
+            this.lastTime = null;
+            return false;
+        }
+
+        // Clamp so a long gap between frames (sleeping loop) doesn't skip the clip
+        const now = performance.now();
+        const delta = this.lastTime === null ? 0 : Math.min((now - this.lastTime) / 1000, 0.1);
+        this.lastTime = now;
+        this.mixer.update(delta);
+
+        if (this.onTick) {
+            this.onTick(this.getClips());
+        }
+        return true;
+    }
+
+    dispose() {
+        this.releaseMixer();
+    }
+}
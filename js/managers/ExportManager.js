@@ -0,0 +1,279 @@
+import { CONFIG } from '../config.js';
+import { ZipWriter } from '../utils/ZipWriter.js';
+
+/**
+ * ExportManager - High-resolution screenshots and turntable exports
+ * Screenshots and PNG sequences render offscreen (any size, optionally transparent);
+ * WebM turntables record the main canvas with MediaRecorder
+ */
+export class ExportManager {
+    constructor(rendererManager, sceneManager, cameraManager, vanManager) {
+        this.rendererManager = rendererManager;
+        this.sceneManager = sceneManager;
+        this.cameraManager = cameraManager;
+        this.vanManager = vanManager;
+
+        this.isCapturing = false;
+        this.onCaptureStart = null; // Called before capturing (e.g. pause the render loop)
+        this.onCaptureEnd = null;   // Called after capturing
+        this.onProgress = null;     // Called with (frame, totalFrames) during turntables
+    }
+
+    /**
+     * Save the current view as a PNG
+     * @param {Object} options - { width, height, transparent }
+     */
+    async exportScreenshot({ width, height, transparent = false }) {
+        await this.capture({ transparent }, async () => {
+            const blob = await this.renderPNG(width, height, transparent);
+            this.download(blob, `${this.getBaseName()}-${width}x${height}.png`);
+
+            const verify = CONFIG.export.verifyColors || new URLSearchParams(window.location.search).has('dev');
+            if (verify && !transparent) {
+                this.checkScreenMatch();
+            }
+        });
+    }
+
+    /**
+     * Check that offscreen renders (screenshots, thumbnails) match what is on screen:
+     * renders the view to the canvas and offscreen at the canvas size and compares them
+     * Bloom (ultra quality) only exists on screen and adds to the difference
+     * @returns {boolean} - True if the mean difference is within CONFIG.export.colorTolerance
+     */
+    checkScreenMatch() {
+        const canvas = this.rendererManager.getDomElement();
+        const scene = this.sceneManager.getScene();
+        const camera = this.cameraManager.getCamera();
+        const width = canvas.width;
+        const height = canvas.height;
+
+        // Copy the canvas right after rendering, before the drawing buffer is cleared
+        this.rendererManager.render(scene, camera);
+        const screenCanvas = document.createElement('canvas');
+        screenCanvas.width = width;
+        screenCanvas.height = height;
+        const context = screenCanvas.getContext('2d');
+        context.drawImage(canvas, 0, 0);
+        const onScreen = context.getImageData(0, 0, width, height).data;
+        const offscreen = this.rendererManager.renderToImageData(scene, camera, width, height).data;
+
+        if (offscreen.length !== onScreen.length) {
+            console.warn('Color check skipped: canvas is larger than the GPU export limit');
+            return false;
+        }
+
+        let total = 0;
+        for (let i = 0; i < onScreen.length; i += 4) {
+            total += Math.abs(onScreen[i] - offscreen[i])
+                + Math.abs(onScreen[i + 1] - offscreen[i + 1])
+                + Math.abs(onScreen[i + 2] - offscreen[i + 2]);
+        }
+        const difference = total / (width * height * 3);
+        const matches = difference <= CONFIG.export.colorTolerance;
+
+        if (matches) {
+            console.log(`Color check passed: export differs from the screen by ${difference.toFixed(2)}/255 on average`);
+        } else {
+            console.warn(`Color check failed: export differs from the screen by ${difference.toFixed(2)}/255 on average`);
+        }
+        return matches;
+    }
+
+    /**
+     * Rotate 360° around the van and save every frame as a PNG in a zip
+     * @param {Object} options - { width, height, transparent, frames }
+     */
+    async exportTurntableFrames({ width, height, transparent = false, frames = CONFIG.export.turntable.frames }) {
+        await this.capture({ transparent }, async () => {
+            const zip = new ZipWriter();
+            const digits = String(frames).length;
+
+            await this.driveTurntable(frames, async (frame) => {
+                const blob = await this.renderPNG(width, height, transparent);
+                const name = `frame-${String(frame + 1).padStart(Math.max(digits, 4), '0')}.png`;
+                zip.addFile(name, new Uint8Array(await blob.arrayBuffer()));
+            });
+
+            this.download(zip.toBlob(), `${this.getBaseName()}-turntable-${width}x${height}.zip`);
+        });
+    }
+
+    /**
+     * Rotate 360° around the van and record a WebM video of the main canvas
+     * Transparent backgrounds are not possible here (the canvas is opaque);
+     * the garage is hidden but the background color stays
+     * @param {Object} options - { width, height, transparent, frames, fps }
+     */
+    async exportTurntableVideo({
+        width,
+        height,
+        transparent = false,
+        frames = CONFIG.export.turntable.frames,
+        fps = CONFIG.export.turntable.fps
+    }) {
+        if (typeof MediaRecorder === 'undefined') {
+            throw new Error('MediaRecorder is not supported in this browser');
+        }
+
+        const mimeType = CONFIG.export.turntable.mimeTypes.find(type => MediaRecorder.isTypeSupported(type));
+        if (!mimeType) {
+            throw new Error('No supported WebM codec for MediaRecorder');
+        }
+
+        await this.capture({ transparent }, async () => {
+            const canvas = this.rendererManager.getDomElement();
+            const camera = this.cameraManager.getCamera();
+            const scene = this.sceneManager.getScene();
+            const previousAspect = camera.aspect;
+
+            // Frames are pushed manually so every rendered frame ends up in the video
+            const stream = canvas.captureStream(0);
+            const track = stream.getVideoTracks()[0];
+            const recorder = new MediaRecorder(stream, {
+                mimeType,
+                videoBitsPerSecond: CONFIG.export.turntable.videoBitsPerSecond
+            });
+            const chunks = [];
+            recorder.ondataavailable = (e) => {
+                if (e.data.size > 0) chunks.push(e.data);
+            };
+            const stopped = new Promise(resolve => {
+                recorder.onstop = resolve;
+            });
+
+            this.rendererManager.setRenderSize(width, height);
+            camera.aspect = width / height;
+            camera.updateProjectionMatrix();
+
+            try {
+                recorder.start();
+                await this.driveTurntable(frames, async () => {
+                    this.rendererManager.render(scene, camera);
+                    track.requestFrame();
+                    // MediaRecorder timestamps frames in real time
+                    await this.wait(1000 / fps);
+                });
+                recorder.stop();
+                await stopped;
+            } finally {
+                stream.getTracks().forEach(t => t.stop());
+                camera.aspect = previousAspect;
+                camera.updateProjectionMatrix();
+                this.rendererManager.onWindowResize();
+            }
+
+            const blob = new Blob(chunks, { type: 'video/webm' });
+            this.download(blob, `${this.getBaseName()}-turntable-${width}x${height}.webm`);
+        });
+    }
+
+    /**
+     * Run an export with the UI overlay hidden and the scene prepared
+     * @param {Object} options - { transparent: hide garage, ground and background }
+     * @param {Function} task - Async capture work
+     */
+    async capture({ transparent }, task) {
+        if (this.isCapturing) {
+            throw new Error('An export is already running');
+        }
+
+        this.isCapturing = true;
+        const overlay = document.getElementById('ui-overlay');
+        const garage = this.vanManager.garageModel;
+
+        if (this.onCaptureStart) this.onCaptureStart();
+        if (overlay) overlay.style.visibility = 'hidden';
+        if (transparent) {
+            this.sceneManager.setBackgroundVisible(false);
+            if (garage) garage.visible = false;
+        }
+
+        try {
+            await task();
+        } finally {
+            if (transparent) {
+                this.sceneManager.setBackgroundVisible(true);
+                if (garage) garage.visible = true;
+            }
+            if (overlay) overlay.style.visibility = '';
+            this.isCapturing = false;
+            if (this.onCaptureEnd) this.onCaptureEnd();
+        }
+    }
+
+    /**
+     * Drive OrbitControls auto-rotate through exactly 360° in `frames` steps
+     * Damping is switched off so every step turns by the same angle
+     * @param {number} frames - Number of frames
+     * @param {Function} renderFrame - Async callback for each frame index
+     */
+    async driveTurntable(frames, renderFrame) {
+        const controls = this.cameraManager.getControls();
+        const previous = {
+            enableDamping: controls.enableDamping,
+            autoRotate: controls.autoRotate,
+            autoRotateSpeed: controls.autoRotateSpeed
+        };
+
+        // Without a delta time, OrbitControls turns 2π / 3600 * autoRotateSpeed per update
+        const direction = Math.sign(CONFIG.controls.autoRotateSpeed) || 1;
+        controls.enableDamping = false;
+        controls.autoRotate = true;
+        controls.autoRotateSpeed = direction * 3600 / frames;
+
+        try {
+            for (let frame = 0; frame < frames; frame++) {
+                await renderFrame(frame);
+                controls.update();
+                if (this.onProgress) this.onProgress(frame + 1, frames);
+            }
+        } finally {
+            Object.assign(controls, previous);
+            controls.update();
+        }
+    }
+
+    /**
+     * Render the current view offscreen and encode it as PNG
+     */
+    renderPNG(width, height, transparent) {
+        const imageData = this.rendererManager.renderToImageData(
+            this.sceneManager.getScene(),
+            this.cameraManager.getCamera(),
+            width,
+            height,
+            { transparent }
+        );
+
+        const canvas = document.createElement('canvas');
+        canvas.width = imageData.width;
+        canvas.height = imageData.height;
+        canvas.getContext('2d').putImageData(imageData, 0, 0);
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('PNG encoding failed')), 'image/png');
+        });
+    }
+
+    getBaseName() {
+        return this.vanManager.currentVanId || 'garage';
+    }
+
+    download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        console.log(`Exported ${filename} (${(blob.size / (1024 * 1024)).toFixed(2)} MB)`);
+    }
+
+    wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
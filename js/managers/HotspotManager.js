@@ -0,0 +1,258 @@
+import * as THREE from 'three';
+import { CONFIG } from '../config.js';
+
+/**
+ * HotspotManager - Clickable annotations anchored to the current van
+ * Hotspots come from empties named with CONFIG.hotspots.nodePrefix (e.g. HS_roofrack,
+ * with title/description/view in the node extras) and from an optional per-van
+ * sidecar JSON referenced by the catalog entry's `hotspots` field
+ */
+export class HotspotManager {
+    constructor(cameraManager, vanManager, domElement, markerContainer) {
+        this.cameraManager = cameraManager;
+        this.vanManager = vanManager;
+        this.domElement = domElement;
+        this.markerContainer = markerContainer;
+
+        this.visible = CONFIG.hotspots.visible;
+        this.hotspots = []; // { id, anchor, title, description, view, ownsAnchor, element, occluded }
+        this.targetModel = null; // Van the hotspots belong to
+        this.sidecars = new Map(); // Sidecar JSON by van ID
+        this.lastOcclusionCheck = 0;
+        this.buildToken = 0;
+        this.onSelect = null; // Called with the clicked hotspot
+        this.onClear = null; // Called when the hotspots of the previous van are removed
+        this.onSceneChange = null; // Called when markers are added, removed or shown/hidden (request a render)
+
+        this.raycaster = new THREE.Raycaster();
+    }
+
+    /**
+     * Show or hide all hotspot markers
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        this.notifySceneChange();
+    }
+
+    toggle() {
+        this.setVisible(!this.visible);
+    }
+
+    isVisible() {
+        return this.visible;
+    }
+
+    /**
+     * Rebuild the hotspots for the van currently on screen
+     */
+    async buildHotspots(vanModel, vanData) {
+        const buildToken = ++this.buildToken;
+        this.clear();
+        this.targetModel = vanModel;
+        if (!vanModel || !vanData) return;
+
+        const sidecar = await this.loadSidecar(vanData.config);
+        if (buildToken !== this.buildToken) return; // Another van was shown meanwhile
+
+        const definitions = new Map();
+
+        // Empties named HS_* inside the GLB
+        this.vanManager.modelLoader
+            .findNodes(vanModel, (child) => child.name.startsWith(CONFIG.hotspots.nodePrefix))
+            .forEach((node) => {
+                definitions.set(node.name, { ...node.userData, id: node.name, anchor: node });
+            });
+
+        // Sidecar entries extend nodes with the same name or add new anchors
+        sidecar.forEach((entry) => {
+            const id = entry.node || entry.id;
+            const existing = definitions.get(id);
+            if (existing) {
+                definitions.set(id, { ...existing, ...entry, anchor: existing.anchor });
+            } else if (entry.position) {
+                const anchor = new THREE.Object3D();
+                anchor.name = id;
+                anchor.position.set(entry.position.x || 0, entry.position.y || 0, entry.position.z || 0);
+                vanModel.add(anchor);
+                definitions.set(id, { ...entry, id, anchor, ownsAnchor: true });
+            } else {
+                console.warn(`Hotspot ${id} has no matching node or position, skipping`);
+            }
+        });
+
+        definitions.forEach((definition) => this.addHotspot(definition));
+        console.log(`Created ${this.hotspots.length} hotspots for ${vanData.config.id}`);
+        this.notifySceneChange();
+    }
+
+    /**
+     * Load the sidecar hotspot list for a van (cached per van)
+     * @returns {Promise<Array>} - Sidecar entries (empty when the van has none)
+     */
+    async loadSidecar(vanConfig) {
+        if (!vanConfig.hotspots) return [];
+        if (this.sidecars.has(vanConfig.id)) return this.sidecars.get(vanConfig.id);
+
+        const sidecarPath = CONFIG.models.vans.basePath + vanConfig.hotspots;
+        let entries = [];
+        try {
+            const response = await fetch(sidecarPath);
+            if (response.ok) {
+                const sidecar = await response.json();
+                entries = Array.isArray(sidecar) ? sidecar : (sidecar.hotspots || []);
+            } else {
+                console.warn(`Hotspot sidecar not found: ${sidecarPath}`);
+            }
+        } catch (error) {
+            console.warn(`Failed to load hotspot sidecar ${sidecarPath}:`, error);
+        }
+
+        this.sidecars.set(vanConfig.id, entries);
+        return entries;
+    }
+
+    addHotspot(definition) {
+        const title = definition.title || this.titleFromName(definition.id);
+
+        const element = document.createElement('div');
+        element.className = 'hotspot';
+        element.innerHTML = `<span class="hotspot-dot"></span><span class="hotspot-title"></span>`;
+        element.querySelector('.hotspot-title').textContent = title;
+
+        const hotspot = {
+            id: definition.id,
+            anchor: definition.anchor,
+            title: title,
+            description: definition.description || '',
+            view: definition.view || null,
+            ownsAnchor: Boolean(definition.ownsAnchor),
+            element: element,
+            occluded: false
+        };
+
+        element.addEventListener('click', () => this.selectHotspot(hotspot));
+        this.markerContainer.appendChild(element);
+        this.hotspots.push(hotspot);
+    }
+
+    /**
+     * HS_roof_rack -> Roof rack
+     */
+    titleFromName(name) {
+        const words = name.slice(CONFIG.hotspots.nodePrefix.length).replace(/_/g, ' ').trim();
+        return words.charAt(0).toUpperCase() + words.slice(1);
+    }
+
+    /**
+     * Open a hotspot and fly to its viewpoint if it has one
+     * Viewpoints are given in the van's local space: { position: {x,y,z}, target: {x,y,z} }
+     */
+    selectHotspot(hotspot) {
+        if (hotspot.view && hotspot.view.position) {
+            const toWorld = (point) => this.targetModel.localToWorld(
+                new THREE.Vector3(point.x || 0, point.y || 0, point.z || 0)
+            );
+            const target = hotspot.view.target
+                ? toWorld(hotspot.view.target)
+                : hotspot.anchor.getWorldPosition(new THREE.Vector3());
+
+            this.cameraManager.setViewpoint(toWorld(hotspot.view.position), target);
+        }
+
+        if (this.onSelect) {
+            this.onSelect(hotspot);
+        }
+    }
+
+    clear() {
+        this.hotspots.forEach((hotspot) => {
+            hotspot.element.remove();
+            // Sidecar anchors were added by us; GLB nodes stay in the model
+            if (hotspot.ownsAnchor && hotspot.anchor.parent) {
+                hotspot.anchor.parent.remove(hotspot.anchor);
+            }
+        });
+        this.hotspots = [];
+
+        if (this.onClear) {
+            this.onClear();
+        }
+        this.notifySceneChange();
+    }
+
+    notifySceneChange() {
+        if (this.onSceneChange) {
+            this.onSceneChange();
+        }
+    }
+
+    /**
+     * Project markers into the DOM and hide those behind the van (call once per frame)
+     * @param {boolean} finalFrame - The render loop sleeps after this frame: check
+     *   occlusion now, even inside the throttle window, so markers match the resting view
+     */
+    update(finalFrame = false) {
+        const van = this.vanManager.currentVan;
+        if (van !== this.targetModel) {
+            this.buildHotspots(van, this.vanManager.getCurrentVanInfo());
+        }
+
+        // Hidden by the user, or the van is hidden while another one loads
+        const showMarkers = this.visible && van && van.visible;
+        this.markerContainer.style.display = showMarkers ? '' : 'none';
+        if (!showMarkers || this.hotspots.length === 0) return;
+
+        const camera = this.cameraManager.getCamera();
+        const rect = this.domElement.getBoundingClientRect();
+        const now = performance.now();
+        const checkOcclusion = finalFrame || now - this.lastOcclusionCheck >= CONFIG.hotspots.occlusionInterval;
+        if (checkOcclusion) {
+            this.lastOcclusionCheck = now;
+        }
+
+        const position = new THREE.Vector3();
+        const screen = new THREE.Vector3();
+
+        this.hotspots.forEach((hotspot) => {
+            hotspot.anchor.getWorldPosition(position);
+            screen.copy(position).project(camera);
+
+            // Behind the camera or outside the view
+            if (screen.z > 1 || Math.abs(screen.x) > 1 || Math.abs(screen.y) > 1) {
+                hotspot.element.style.display = 'none';
+                return;
+            }
+
+            if (checkOcclusion) {
+                hotspot.occluded = this.isOccluded(position, camera);
+            }
+
+            hotspot.element.style.display = '';
+            hotspot.element.classList.toggle('occluded', hotspot.occluded);
+            hotspot.element.style.left = `${(screen.x + 1) / 2 * rect.width}px`;
+            hotspot.element.style.top = `${(1 - screen.y) / 2 * rect.height}px`;
+        });
+    }
+
+    /**
+     * Check whether the van surface lies between the camera and a point
+     * Raycasts are throttled by CONFIG.hotspots.occlusionInterval since scans are dense
+     */
+    isOccluded(position, camera) {
+        const direction = position.clone().sub(camera.position);
+        const distance = direction.length();
+        this.raycaster.set(camera.position, direction.normalize());
+        this.raycaster.far = distance - CONFIG.hotspots.occlusionTolerance;
+
+        const hit = this.raycaster.intersectObject(this.targetModel, true).find(intersection =>
+            intersection.object.visible && !intersection.object.material.isShadowMaterial
+        );
+        return Boolean(hit);
+    }
+
+    dispose() {
+        this.clear();
+        this.sidecars.clear();
+    }
+}
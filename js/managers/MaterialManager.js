@@ -0,0 +1,268 @@
+import { CONFIG } from '../config.js';
+
+/**
+ * MaterialManager - Paint and material configurator for van bodies
+ * Keeps one configuration per van ({ color, finish, variant }) and applies it
+ * on top of the scanned materials: a KHR_materials_variants variant first
+ * (if authored), then paint on the repaintable materials
+ */
+export class MaterialManager {
+    constructor(vanManager) {
+        this.vanManager = vanManager;
+
+        this.configurations = new Map(); // { color, finish, variant } by van ID
+        this.modelStates = new Map(); // Per van model: original/created materials (see getModelState)
+        this.applyIds = new Map(); // Latest applyConfiguration() call by van ID
+    }
+
+    /**
+     * Configuration for a van (all null = as scanned)
+     */
+    getConfiguration(vanId) {
+        return this.configurations.get(vanId) || { color: null, finish: null, variant: null };
+    }
+
+    /**
+     * Change a van's configuration; applied right away if the van is loaded,
+     * otherwise when it loads (applyStoredConfiguration)
+     * @param {string} vanId - Van ID
+     * @param {Object} changes - Any of { color: '#rrggbb' | null, finish, variant }
+     */
+    async setConfiguration(vanId, changes) {
+        const configuration = { ...this.getConfiguration(vanId), ...changes };
+        if (configuration.color) {
+            configuration.color = configuration.color.toLowerCase();
+        }
+        if (!CONFIG.paint.finishes[configuration.finish]) {
+            configuration.finish = null;
+        }
+        this.configurations.set(vanId, configuration);
+
+        if (this.vanManager.vans.has(vanId)) {
+            await this.applyConfiguration(this.vanManager.vans.get(vanId), configuration);
+        }
+        return configuration;
+    }
+
+    resetConfiguration(vanId) {
+        return this.setConfiguration(vanId, { color: null, finish: null, variant: null });
+    }
+
+    /**
+     * Re-apply the stored configuration to a van that was (re)loaded
+     */
+    applyStoredConfiguration(vanData) {
+        const configuration = this.configurations.get(vanData.config.id);
+        if (!configuration) return Promise.resolve();
+
+        return this.applyConfiguration(vanData, configuration);
+    }
+
+    /**
+     * Meshes whose material can be repainted (wheel clones are never repainted)
+     */
+    getRepaintableMeshes(model) {
+        const meshes = [];
+        this.vanManager.modelLoader.traverseOwned(model, (child) => {
+            if (!child.isMesh) return;
+
+            const material = this.getModelState(model).originals.get(child) || child.material;
+            if (this.isRepaintable(child, material)) {
+                meshes.push(child);
+            }
+        });
+        return meshes;
+    }
+
+    isRepaintable(mesh, material) {
+        if (!material || Array.isArray(material) || !material.isMeshStandardMaterial) return false;
+
+        return material.userData.repaintable === true
+            || mesh.userData.repaintable === true
+            || CONFIG.paint.materialPattern.test(material.name || '');
+    }
+
+    /**
+     * What the configurator can offer for a loaded van
+     * @returns {Object} - { repaintable, variants: [names] }
+     */
+    getOptions(vanData) {
+        return {
+            repaintable: this.getRepaintableMeshes(vanData.model).length > 0,
+            variants: vanData.variants ? vanData.variants.names : []
+        };
+    }
+
+    /**
+     * Original materials and the materials created or loaded for a model
+     */
+    getModelState(model) {
+        if (!this.modelStates.has(model)) {
+            this.modelStates.set(model, {
+                originals: new Map(), // Mesh -> material as loaded
+                paintMaterials: new Map(), // Base material -> painted clone
+                createdMaterials: new Set() // Painted clones and variant materials
+            });
+        }
+        return this.modelStates.get(model);
+    }
+
+    /**
+     * Put the loaded materials back and apply variant + paint
+     */
+    async applyConfiguration(vanData, configuration) {
+        const vanId = vanData.config.id;
+        const applyId = (this.applyIds.get(vanId) || 0) + 1;
+        this.applyIds.set(vanId, applyId);
+
+        const model = vanData.model;
+        const state = this.getModelState(model);
+
+        // Base materials: the selected variant's, else the originals
+        const baseMaterials = new Map();
+        const meshes = [];
+        this.vanManager.modelLoader.traverseOwned(model, (child) => {
+            if (child.isMesh) meshes.push(child);
+        });
+
+        const variantIndex = vanData.variants && configuration.variant
+            ? vanData.variants.names.indexOf(configuration.variant)
+            : -1;
+
+        for (const mesh of meshes) {
+            const original = state.originals.get(mesh) || mesh.material;
+            baseMaterials.set(mesh, original);
+
+            if (variantIndex !== -1) {
+                const variantMaterial = await this.loadVariantMaterial(vanData.variants.parser, mesh, variantIndex);
+                if (this.applyIds.get(vanId) !== applyId) return; // Superseded while loading
+                if (variantMaterial) {
+                    baseMaterials.set(mesh, variantMaterial);
+                    if (variantMaterial !== original) {
+                        state.createdMaterials.add(variantMaterial);
+                    }
+                }
+            }
+        }
+
+        const paint = configuration.color || configuration.finish;
+        meshes.forEach(mesh => {
+            const original = state.originals.get(mesh) || mesh.material;
+            const base = baseMaterials.get(mesh);
+            const material = paint && this.isRepaintable(mesh, original) && base.isMeshStandardMaterial
+                ? this.getPaintMaterial(state, base, configuration)
+                : base;
+
+            if (material !== original && !state.originals.has(mesh)) {
+                state.originals.set(mesh, original);
+            }
+            mesh.material = material;
+        });
+
+        console.log(`${vanId}: materials configured`, configuration);
+        this.vanManager.notifySceneChange();
+    }
+
+    /**
+     * Material a mesh uses in a KHR_materials_variants variant (null if unmapped)
+     */
+    async loadVariantMaterial(parser, mesh, variantIndex) {
+        const extensions = mesh.userData.gltfExtensions;
+        const meshVariants = extensions && extensions.KHR_materials_variants;
+        if (!meshVariants || !Array.isArray(meshVariants.mappings)) return null;
+
+        const mapping = meshVariants.mappings.find(entry => entry.variants.includes(variantIndex));
+        if (!mapping) return null;
+
+        return parser.getDependency('material', mapping.material);
+    }
+
+    /**
+     * Painted clone of a base material (one per base material, so shared materials stay shared)
+     */
+    getPaintMaterial(state, base, configuration) {
+        let material = state.paintMaterials.get(base);
+        if (!material) {
+            material = base.clone();
+            material.name = `${base.name || 'material'} (paint)`;
+            state.paintMaterials.set(base, material);
+            state.createdMaterials.add(material);
+        }
+
+        // Reset to the base each time so finish/colour changes don't accumulate
+        material.color.copy(base.color);
+        material.map = base.map;
+        material.roughness = base.roughness;
+        material.metalness = base.metalness;
+        material.roughnessMap = base.roughnessMap;
+        material.metalnessMap = base.metalnessMap;
+
+        if (configuration.color) {
+            material.color.set(configuration.color);
+            if (CONFIG.paint.replaceTexture) {
+                material.map = null;
+            }
+        }
+
+        const finish = CONFIG.paint.finishes[configuration.finish];
+        if (finish) {
+            material.roughness = finish.roughness;
+            material.metalness = finish.metalness;
+            material.roughnessMap = null;
+            material.metalnessMap = null;
+        }
+
+        material.needsUpdate = true;
+        return material;
+    }
+
+    /**
+     * Restore a van's loaded materials and free the ones created for it
+     * (called before an evicted van is disposed)
+     */
+    releaseModel(model) {
+        const state = this.modelStates.get(model);
+        if (!state) return;
+
+        state.originals.forEach((material, mesh) => {
+            mesh.material = material;
+        });
+        const originals = new Set(state.originals.values());
+        state.createdMaterials.forEach(material => {
+            if (!originals.has(material)) {
+                material.dispose();
+            }
+        });
+        this.modelStates.delete(model);
+    }
+
+    /**
+     * Configuration as URL parameters: paint=b3121b-metallic (either part optional), variant=Name
+     */
+    toShareState(vanId) {
+        const { color, finish, variant } = this.getConfiguration(vanId);
+        const paint = color || finish
+            ? `${color ? color.replace('#', '') : ''}${finish ? `-${finish}` : ''}`
+            : null;
+
+        return { paint: paint, variant: variant || null };
+    }
+
+    /**
+     * Inverse of toShareState()
+     * @param {Object} state - { paint, variant } from the URL
+     */
+    parseShareState(state) {
+        const [colorPart, finishPart] = (state.paint || '').split('-');
+
+        return {
+            color: /^[0-9a-f]{6}$/i.test(colorPart || '') ? `#${colorPart}` : null,
+            finish: CONFIG.paint.finishes[finishPart] ? finishPart : null,
+            variant: state.variant || null
+        };
+    }
+
+    dispose() {
+        Array.from(this.modelStates.keys()).forEach(model => this.releaseModel(model));
+    }
+}
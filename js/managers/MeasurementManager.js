@@ -0,0 +1,351 @@
+import * as THREE from 'three';
+import { CONFIG } from '../config.js';
+
+/**
+ * MeasurementManager - Point-to-point measurements on the current van
+ * Clicks are raycast against the van mesh; each pair of points becomes a
+ * 3D line with a distance label projected into the DOM
+ */
+export class MeasurementManager {
+    constructor(sceneManager, cameraManager, vanManager, domElement, labelContainer) {
+        this.sceneManager = sceneManager;
+        this.cameraManager = cameraManager;
+        this.vanManager = vanManager;
+        this.domElement = domElement;
+        this.labelContainer = labelContainer;
+
+        this.enabled = false;
+        this.units = CONFIG.measure.units;
+        this.snapToVertices = CONFIG.measure.snapToVertices;
+        this.measurements = []; // { start, end, line, markers, label }
+        this.pendingPoint = null; // { point, marker } waiting for its second click
+        this.targetModel = null; // Van the measurements belong to
+        this.autoRotateBeforeEnable = false;
+        this.pointerDown = null;
+        this.onChange = null; // Called when mode, units, snapping or measurements change
+        this.onSceneChange = null; // Called when lines, markers or labels change (request a render)
+
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.group = new THREE.Group();
+        this.group.name = 'measurements';
+        this.sceneManager.addObject(this.group);
+
+        this.lineMaterial = new THREE.LineBasicMaterial({
+            color: CONFIG.measure.color,
+            depthTest: false,
+            transparent: true
+        });
+        this.markerMaterial = new THREE.MeshBasicMaterial({
+            color: CONFIG.measure.color,
+            depthTest: false,
+            transparent: true
+        });
+        this.markerGeometry = new THREE.SphereGeometry(CONFIG.measure.markerRadius, 12, 12);
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        // Only treat short, still presses as clicks so orbiting doesn't add points
+        this.domElement.addEventListener('pointerdown', (e) => {
+            this.pointerDown = { x: e.clientX, y: e.clientY };
+        });
+
+        this.domElement.addEventListener('pointerup', (e) => {
+            if (!this.enabled || !this.pointerDown || e.button !== 0) return;
+
+            const moved = Math.hypot(e.clientX - this.pointerDown.x, e.clientY - this.pointerDown.y);
+            this.pointerDown = null;
+            if (moved <= CONFIG.measure.clickTolerance) {
+                this.onClick(e);
+            }
+        });
+    }
+
+    /**
+     * Enter or leave measure mode (auto-rotation is paused while measuring)
+     */
+    setEnabled(enabled) {
+        if (this.enabled === enabled) return;
+        this.enabled = enabled;
+
+        const controls = this.cameraManager.getControls();
+        if (enabled) {
+            this.autoRotateBeforeEnable = controls.autoRotate;
+            controls.autoRotate = false;
+        } else {
+            controls.autoRotate = this.autoRotateBeforeEnable;
+            this.cancelPendingPoint();
+        }
+
+        this.domElement.style.cursor = enabled ? 'crosshair' : '';
+        this.notifyChange();
+    }
+
+    toggle() {
+        this.setEnabled(!this.enabled);
+    }
+
+    isEnabled() {
+        return this.enabled;
+    }
+
+    /**
+     * Switch between 'metric' and 'imperial' labels
+     */
+    setUnits(units) {
+        this.units = units;
+        this.measurements.forEach(measurement => {
+            measurement.label.textContent = this.formatDistance(measurement.start.distanceTo(measurement.end));
+        });
+        this.notifyChange();
+    }
+
+    toggleUnits() {
+        this.setUnits(this.units === 'metric' ? 'imperial' : 'metric');
+    }
+
+    setSnapToVertices(snap) {
+        this.snapToVertices = snap;
+        this.notifyChange();
+    }
+
+    /**
+     * Handle a click in measure mode
+     */
+    onClick(event) {
+        const point = this.pickPoint(event.clientX, event.clientY);
+        if (!point) return;
+
+        if (!this.pendingPoint) {
+            this.pendingPoint = { point, marker: this.createMarker(point) };
+            this.notifyChange();
+            return;
+        }
+
+        this.addMeasurement(this.pendingPoint.point, point, this.pendingPoint.marker);
+        this.pendingPoint = null;
+    }
+
+    /**
+     * Raycast against the current van and return the hit point (snapped if enabled)
+     * @param {number} clientX - Pointer X in CSS pixels
+     * @param {number} clientY - Pointer Y in CSS pixels
+     * @returns {THREE.Vector3|null}
+     */
+    pickPoint(clientX, clientY) {
+        const van = this.vanManager.currentVan;
+        if (!van || !van.visible) return null;
+
+        const rect = this.domElement.getBoundingClientRect();
+        this.pointer.set(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(this.pointer, this.cameraManager.getCamera());
+
+        // Skip the invisible shadow box and any hidden parts
+        const hit = this.raycaster.intersectObject(van, true).find(intersection =>
+            intersection.object.visible && !intersection.object.material.isShadowMaterial
+        );
+        if (!hit) return null;
+
+        this.syncTargetModel();
+
+        if (this.snapToVertices && hit.face) {
+            return this.snapToNearestVertex(hit, clientX - rect.left, clientY - rect.top, rect);
+        }
+        return hit.point.clone();
+    }
+
+    /**
+     * Snap a hit to the closest corner of the hit triangle when it is within
+     * CONFIG.measure.snapPixels on screen
+     */
+    snapToNearestVertex(hit, x, y, rect) {
+        const camera = this.cameraManager.getCamera();
+        const position = hit.object.geometry.attributes.position;
+        let best = null;
+        let bestDistance = CONFIG.measure.snapPixels;
+
+        [hit.face.a, hit.face.b, hit.face.c].forEach(index => {
+            const vertex = new THREE.Vector3()
+                .fromBufferAttribute(position, index)
+                .applyMatrix4(hit.object.matrixWorld);
+            const screen = vertex.clone().project(camera);
+            const distance = Math.hypot(
+                (screen.x + 1) / 2 * rect.width - x,
+                (1 - screen.y) / 2 * rect.height - y
+            );
+
+            if (distance < bestDistance) {
+                best = vertex;
+                bestDistance = distance;
+            }
+        });
+
+        return best || hit.point.clone();
+    }
+
+    addMeasurement(start, end, startMarker) {
+        const geometry = new THREE.BufferGeometry().setFromPoints([start, end]);
+        const line = new THREE.Line(geometry, this.lineMaterial);
+        line.renderOrder = 999;
+        this.group.add(line);
+
+        const label = document.createElement('div');
+        label.className = 'measure-label';
+        label.textContent = this.formatDistance(start.distanceTo(end));
+        this.labelContainer.appendChild(label);
+
+        this.measurements.push({
+            start,
+            end,
+            line,
+            markers: [startMarker, this.createMarker(end)],
+            label
+        });
+
+        console.log(`Measured ${label.textContent}`);
+        this.notifyChange();
+    }
+
+    createMarker(point) {
+        const marker = new THREE.Mesh(this.markerGeometry, this.markerMaterial);
+        marker.position.copy(point);
+        marker.renderOrder = 999;
+        this.group.add(marker);
+        return marker;
+    }
+
+    /**
+     * Remove the pending point, or the last measurement
+     */
+    undo() {
+        if (this.pendingPoint) {
+            this.cancelPendingPoint();
+            return;
+        }
+
+        const measurement = this.measurements.pop();
+        if (measurement) {
+            this.removeMeasurement(measurement);
+            this.notifyChange();
+        }
+    }
+
+    cancelPendingPoint() {
+        if (!this.pendingPoint) return;
+
+        this.group.remove(this.pendingPoint.marker);
+        this.pendingPoint = null;
+        this.notifyChange();
+    }
+
+    /**
+     * Remove all measurements
+     */
+    clear() {
+        this.cancelPendingPoint();
+        this.measurements.forEach(measurement => this.removeMeasurement(measurement));
+        this.measurements = [];
+        this.notifyChange();
+    }
+
+    removeMeasurement(measurement) {
+        this.group.remove(measurement.line);
+        measurement.line.geometry.dispose();
+        measurement.markers.forEach(marker => this.group.remove(marker));
+        measurement.label.remove();
+    }
+
+    /**
+     * Measurements belong to one van; clear them when another van is shown
+     */
+    syncTargetModel() {
+        const van = this.vanManager.currentVan;
+        if (van !== this.targetModel) {
+            if (this.measurements.length > 0 || this.pendingPoint) {
+                this.clear();
+            }
+            this.targetModel = van;
+        }
+    }
+
+    /**
+     * Keep DOM labels on their measurement midpoints (call once per frame)
+     */
+    update() {
+        if (this.measurements.length === 0) return;
+        this.syncTargetModel();
+
+        const camera = this.cameraManager.getCamera();
+        const rect = this.domElement.getBoundingClientRect();
+        const midpoint = new THREE.Vector3();
+
+        this.measurements.forEach(({ start, end, label }) => {
+            midpoint.addVectors(start, end).multiplyScalar(0.5).project(camera);
+
+            // Behind the camera
+            if (midpoint.z > 1) {
+                label.style.display = 'none';
+                return;
+            }
+
+            label.style.display = 'block';
+            label.style.left = `${(midpoint.x + 1) / 2 * rect.width}px`;
+            label.style.top = `${(1 - midpoint.y) / 2 * rect.height}px`;
+        });
+    }
+
+    /**
+     * Format a distance in metres using the current units
+     * @param {number} metres - Distance in metres
+     */
+    formatDistance(metres) {
+        if (this.units === 'imperial') {
+            const totalInches = metres / 0.0254;
+            let feet = Math.floor(totalInches / 12);
+            let inches = Math.round((totalInches - feet * 12) * 10) / 10;
+            if (inches >= 12) {
+                feet += 1;
+                inches = 0;
+            }
+            return `${feet}' ${inches.toFixed(1)}"`;
+        }
+        return `${metres.toFixed(3)} m`;
+    }
+
+    getState() {
+        return {
+            enabled: this.enabled,
+            units: this.units,
+            snapToVertices: this.snapToVertices,
+            count: this.measurements.length,
+            pending: this.pendingPoint !== null
+        };
+    }
+
+    notifyChange() {
+        // Every state change adds, removes or relabels something on screen
+        this.notifySceneChange();
+        if (this.onChange) {
+            this.onChange(this.getState());
+        }
+    }
+
+    notifySceneChange() {
+        if (this.onSceneChange) {
+            this.onSceneChange();
+        }
+    }
+
+    dispose() {
+        this.clear();
+        this.sceneManager.removeObject(this.group);
+        this.lineMaterial.dispose();
+        this.markerMaterial.dispose();
+        this.markerGeometry.dispose();
+    }
+}
@@ -0,0 +1,88 @@
+/**
+ * PrefetchQueue - Priority queue for background van downloads
+ * Runs up to `concurrency` loads at once and can be paused while
+ * a foreground load is running
+ */
+export class PrefetchQueue {
+    /**
+     * @param {Object} options - Queue options
+     * @param {Function} options.load - Called with a van ID, returns a Promise
+     * @param {number} options.concurrency - Maximum number of loads running at once
+     */
+    constructor({ load, concurrency = 1 }) {
+        this.load = load;
+        this.concurrency = concurrency;
+        this.queue = []; // { vanId, priority, order }
+        this.active = new Set();
+        this.paused = false;
+        this.order = 0; // Keeps equal priorities first-in, first-out
+    }
+
+    /**
+     * Add a van to the queue (lower priority runs first)
+     * Re-queueing a van keeps its most urgent priority
+     * @param {string} vanId - Van ID
+     * @param {number} priority - Queue priority
+     */
+    enqueue(vanId, priority = 0) {
+        if (this.active.has(vanId)) return;
+
+        const queued = this.queue.find(item => item.vanId === vanId);
+        if (queued) {
+            queued.priority = Math.min(queued.priority, priority);
+        } else {
+            this.queue.push({ vanId, priority, order: this.order++ });
+        }
+
+        this.pump();
+    }
+
+    /**
+     * Remove a van that has not started loading yet
+     */
+    remove(vanId) {
+        this.queue = this.queue.filter(item => item.vanId !== vanId);
+    }
+
+    /**
+     * Drop every van that has not started loading yet
+     */
+    clear() {
+        this.queue = [];
+    }
+
+    /**
+     * Stop starting new loads (loads already running continue)
+     */
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+        this.pump();
+    }
+
+    isQueued(vanId) {
+        return this.active.has(vanId) || this.queue.some(item => item.vanId === vanId);
+    }
+
+    /**
+     * Start queued loads until the concurrency limit is reached
+     */
+    pump() {
+        while (!this.paused && this.active.size < this.concurrency && this.queue.length > 0) {
+            this.queue.sort((a, b) => a.priority - b.priority || a.order - b.order);
+            const { vanId } = this.queue.shift();
+
+            this.active.add(vanId);
+            Promise.resolve()
+                .then(() => this.load(vanId))
+                .catch(error => console.warn(`Failed to prefetch ${vanId}:`, error))
+                .finally(() => {
+                    this.active.delete(vanId);
+                    this.pump();
+                });
+        }
+    }
+}
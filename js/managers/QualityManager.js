@@ -0,0 +1,156 @@
+import { CONFIG } from '../config.js';
+
+/**
+ * QualityManager - Steps through CONFIG.performance.quality.tiers based on
+ * measured frame times, or holds a tier picked by the user
+ */
+export class QualityManager {
+    constructor(rendererManager, lightingManager) {
+        this.rendererManager = rendererManager;
+        this.lightingManager = lightingManager;
+        this.settings = CONFIG.performance.quality;
+        this.tiers = this.settings.tiers;
+
+        this.mode = this.getSavedMode(); // 'auto' or a tier name
+        this.tierIndex = this.getTierIndex(this.mode === 'auto' ? this.settings.defaultTier : this.mode);
+        this.slowTiers = new Map(); // Tier index -> time it was too slow (blocks upgrades for a while)
+        this.lastChangeTime = performance.now();
+        this.onChange = null; // Called with ({ mode, tier }) when mode or tier changes
+        this.onTierApplied = null; // Called after a tier is applied (the canvas may have been cleared)
+
+        this.resetSamples();
+        this.applyTier();
+    }
+
+    getTierIndex(name) {
+        const index = this.tiers.findIndex(tier => tier.name === name);
+        return index === -1 ? 0 : index;
+    }
+
+    getTier() {
+        return this.tiers[this.tierIndex];
+    }
+
+    getMode() {
+        return this.mode;
+    }
+
+    /**
+     * Manual override saved on this device, else 'auto'
+     */
+    getSavedMode() {
+        try {
+            const saved = localStorage.getItem(this.settings.storageKey);
+            if (saved && this.tiers.some(tier => tier.name === saved)) return saved;
+        } catch (error) {
+            // localStorage unavailable (privacy mode)
+        }
+        return 'auto';
+    }
+
+    /**
+     * Pick a tier by name, or 'auto' to adapt to measured frame times
+     */
+    setMode(mode) {
+        this.mode = mode === 'auto' || this.tiers.some(tier => tier.name === mode) ? mode : 'auto';
+        try {
+            localStorage.setItem(this.settings.storageKey, this.mode);
+        } catch (error) {
+            // localStorage unavailable (privacy mode)
+        }
+
+        if (this.mode === 'auto') {
+            this.slowTiers.clear();
+            this.resetSamples();
+            this.notifyChange();
+        } else {
+            this.setTier(this.getTierIndex(this.mode));
+        }
+    }
+
+    setTier(index) {
+        const changed = index !== this.tierIndex;
+        this.tierIndex = index;
+        this.lastChangeTime = performance.now();
+        this.resetSamples();
+
+        if (changed) {
+            this.applyTier();
+        }
+        this.notifyChange();
+    }
+
+    applyTier() {
+        const tier = this.getTier();
+        this.rendererManager.setQuality({
+            pixelRatio: Math.min(window.devicePixelRatio, tier.maxPixelRatio),
+            antialias: tier.antialias,
+            postEffects: tier.postEffects
+        });
+        this.lightingManager.setShadowQuality(tier.shadowMapSize, tier.shadowCasters);
+        console.log(`Quality tier: ${tier.name}`);
+
+        if (this.onTierApplied) {
+            this.onTierApplied();
+        }
+    }
+
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange({ mode: this.mode, tier: this.getTier() });
+        }
+    }
+
+    /**
+     * Forget frame samples (after a tier change or when the render loop restarts)
+     */
+    resetSamples() {
+        this.sampleStart = null;
+        this.lastFrameTime = null;
+        this.frameCount = 0;
+    }
+
+    /**
+     * Record a rendered frame and adapt the tier (call once per frame)
+     */
+    update() {
+        const now = performance.now();
+
+        // Gaps (paused loop, hidden tab) are not frame times
+        if (this.lastFrameTime === null || now - this.lastFrameTime > 1000) {
+            this.sampleStart = now;
+            this.lastFrameTime = now;
+            this.frameCount = 0;
+            return;
+        }
+        this.lastFrameTime = now;
+        this.frameCount++;
+
+        const elapsed = now - this.sampleStart;
+        if (elapsed < this.settings.sampleWindow) return;
+
+        const fps = this.frameCount * 1000 / elapsed;
+        this.sampleStart = now;
+        this.frameCount = 0;
+
+        if (this.mode === 'auto' && now - this.lastChangeTime >= this.settings.cooldown) {
+            this.adapt(fps, now);
+        }
+    }
+
+    adapt(fps, now) {
+        const targetFPS = CONFIG.performance.targetFPS;
+
+        if (fps < targetFPS * this.settings.downgradeRatio && this.tierIndex > 0) {
+            this.slowTiers.set(this.tierIndex, now);
+            console.log(`Measured ${fps.toFixed(1)} FPS, lowering quality`);
+            this.setTier(this.tierIndex - 1);
+        } else if (fps >= targetFPS * this.settings.upgradeRatio && this.tierIndex < this.tiers.length - 1) {
+            const slowSince = this.slowTiers.get(this.tierIndex + 1);
+            if (slowSince !== undefined && now - slowSince < this.settings.upgradeBackoff) return;
+
+            console.log(`Measured ${fps.toFixed(1)} FPS, raising quality`);
+            this.setTier(this.tierIndex + 1);
+        }
+    }
+}
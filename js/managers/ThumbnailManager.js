@@ -0,0 +1,201 @@
+import * as THREE from 'three';
+import { CONFIG } from '../config.js';
+import { ThumbnailStore } from '../utils/ThumbnailStore.js';
+
+/**
+ * ThumbnailManager - Renders van thumbnails offscreen from a standard
+ * three-quarter angle and caches them in IndexedDB
+ */
+export class ThumbnailManager {
+    constructor(rendererManager, vanManager) {
+        this.rendererManager = rendererManager;
+        this.vanManager = vanManager;
+        this.store = new ThumbnailStore();
+        this.urls = new Map(); // Object URLs by van ID
+        this.onThumbnail = null; // Called with (vanId, url) when a thumbnail is generated
+
+        this.setupScene();
+    }
+
+    /**
+     * Small studio scene the van is moved into while its thumbnail renders
+     */
+    setupScene() {
+        const settings = CONFIG.thumbnails;
+
+        this.scene = new THREE.Scene();
+        this.scene.background = new THREE.Color(settings.backgroundColor);
+        this.scene.add(new THREE.HemisphereLight(0xffffff, 0x444444, 1.5));
+
+        const keyLight = new THREE.DirectionalLight(0xffffff, 2);
+        keyLight.position.set(-3, 5, -4);
+        this.scene.add(keyLight);
+
+        this.camera = new THREE.PerspectiveCamera(settings.fov, settings.width / settings.height, 0.1, 100);
+    }
+
+    /**
+     * Cache key; bump CONFIG.thumbnails.version to invalidate cached thumbnails
+     */
+    getCacheKey(vanConfig) {
+        return `${vanConfig.id}:${vanConfig.filename}:v${CONFIG.thumbnails.version}`;
+    }
+
+    /**
+     * Get a thumbnail URL for a van from memory or IndexedDB
+     * @param {Object} vanConfig - Catalog entry
+     * @returns {Promise<string|null>} - Object URL, or null if none has been generated yet
+     */
+    async getThumbnailUrl(vanConfig) {
+        if (this.urls.has(vanConfig.id)) {
+            return this.urls.get(vanConfig.id);
+        }
+
+        const blob = await this.store.get(this.getCacheKey(vanConfig));
+        if (!blob) return null;
+
+        return this.setUrl(vanConfig.id, blob);
+    }
+
+    /**
+     * Generate (or reuse) the thumbnail for a loaded van
+     * @param {Object} vanData - Loaded van data ({ model, config })
+     */
+    async generate(vanData) {
+        const vanConfig = vanData.config;
+        const existingUrl = await this.getThumbnailUrl(vanConfig);
+        if (existingUrl) return existingUrl;
+        if (!this.isLoaded(vanData)) return null;
+
+        const blob = await this.renderThumbnail(vanData.model);
+        await this.store.set(this.getCacheKey(vanConfig), blob);
+
+        const url = this.setUrl(vanConfig.id, blob);
+        console.log(`Generated thumbnail for ${vanConfig.id}`);
+        if (this.onThumbnail) {
+            this.onThumbnail(vanConfig.id, url);
+        }
+        return url;
+    }
+
+    /**
+     * Whether the van's model is still in the cache (it may be evicted and disposed
+     * while awaiting IndexedDB; rendering it would re-upload resources nothing frees)
+     */
+    isLoaded(vanData) {
+        const cached = this.vanManager.vans.get(vanData.config.id);
+        return Boolean(cached && cached.model === vanData.model);
+    }
+
+    setUrl(vanId, blob) {
+        if (this.urls.has(vanId)) {
+            URL.revokeObjectURL(this.urls.get(vanId));
+        }
+        const url = URL.createObjectURL(blob);
+        this.urls.set(vanId, url);
+        return url;
+    }
+
+    /**
+     * Render a van model to a JPEG blob
+     * The model is borrowed from its parent for the duration of one synchronous render
+     * @param {THREE.Object3D} model - Van model
+     * @returns {Promise<Blob>}
+     */
+    renderThumbnail(model) {
+        const settings = CONFIG.thumbnails;
+        const parent = model.parent;
+        const wasVisible = model.visible;
+
+        let imageData;
+        try {
+            this.scene.add(model);
+            model.visible = true;
+            this.frameModel(model);
+
+            imageData = this.rendererManager.renderToImageData(
+                this.scene,
+                this.camera,
+                settings.width,
+                settings.height
+            );
+        } finally {
+            if (parent) {
+                parent.add(model);
+            } else {
+                this.scene.remove(model);
+            }
+            model.visible = wasVisible;
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = imageData.width;
+        canvas.height = imageData.height;
+        canvas.getContext('2d').putImageData(imageData, 0, 0);
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(
+                blob => blob ? resolve(blob) : reject(new Error('JPEG encoding failed')),
+                'image/jpeg',
+                settings.quality
+            );
+        });
+    }
+
+    /**
+     * Point the thumbnail camera at the model's bounding sphere from CONFIG.thumbnails.direction
+     */
+    frameModel(model) {
+        const settings = CONFIG.thumbnails;
+        const sphere = new THREE.Box3().setFromObject(model).getBoundingSphere(new THREE.Sphere());
+        const direction = new THREE.Vector3(
+            settings.direction.x,
+            settings.direction.y,
+            settings.direction.z
+        ).normalize();
+        const distance = sphere.radius / Math.sin(THREE.MathUtils.degToRad(settings.fov) / 2) * settings.padding;
+
+        this.camera.position.copy(sphere.center).addScaledVector(direction, distance);
+        this.camera.lookAt(sphere.center);
+    }
+
+    /**
+     * Render thumbnails for the whole catalog (used by scripts/generate-thumbnails.mjs)
+     * @param {Array<string>} vanIds - Optional subset of van IDs
+     * @returns {Promise<Array>} - [{ id, thumbnail, dataUrl }]
+     */
+    async generateAll(vanIds = null) {
+        const vans = this.vanManager.getAvailableVans()
+            .filter(van => !vanIds || vanIds.includes(van.id));
+        const results = [];
+
+        for (const van of vans) {
+            try {
+                const vanData = await this.vanManager.fetchVan(van.id);
+                if (!this.isLoaded(vanData)) {
+                    throw new Error('Van was unloaded before its thumbnail rendered');
+                }
+                const blob = await this.renderThumbnail(vanData.model);
+                results.push({ id: van.id, thumbnail: van.thumbnail, dataUrl: await this.toDataUrl(blob) });
+            } catch (error) {
+                console.error(`Failed to generate thumbnail for ${van.id}:`, error);
+            }
+        }
+
+        return results;
+    }
+
+    toDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    dispose() {
+        this.urls.forEach(url => URL.revokeObjectURL(url));
+        this.urls.clear();
+    }
+}
@@ -0,0 +1,138 @@
+/**
+ * VanCache - Least-recently-used cache for loaded vans
+ * Keeps the number of vans and their estimated GPU memory within budget,
+ * never evicting pinned vans (current and neighbouring)
+ */
+export class VanCache {
+    /**
+     * @param {Object} options - Cache budget
+     * @param {number} options.maxVans - Maximum number of cached vans
+     * @param {number} options.maxBytes - Maximum estimated GPU bytes for all cached vans
+     * @param {Function} options.onEvict - Called with (vanId, vanData) when a van is evicted
+     */
+    constructor({ maxVans = Infinity, maxBytes = Infinity, onEvict = null } = {}) {
+        this.maxVans = maxVans;
+        this.maxBytes = maxBytes;
+        this.onEvict = onEvict;
+        this.entries = new Map(); // Insertion order = least recently used first
+        this.pinned = new Set();
+        this.totalBytes = 0;
+    }
+
+    has(vanId) {
+        return this.entries.has(vanId);
+    }
+
+    /**
+     * Get cached van data without changing its recency
+     */
+    get(vanId) {
+        const entry = this.entries.get(vanId);
+        return entry ? entry.data : undefined;
+    }
+
+    /**
+     * Add a van to the cache and evict others if over budget
+     * @param {string} vanId - Van ID
+     * @param {Object} data - Van data ({ model, config, animations, info })
+     * @param {number} bytes - Estimated GPU bytes for the van
+     */
+    set(vanId, data, bytes = 0) {
+        if (this.entries.has(vanId)) {
+            this.totalBytes -= this.entries.get(vanId).bytes;
+            this.entries.delete(vanId);
+        }
+
+        this.entries.set(vanId, { data, bytes });
+        this.totalBytes += bytes;
+        this.enforceBudget(vanId); // A van is never evicted by its own insertion
+        return this;
+    }
+
+    /**
+     * Mark a van as most recently used
+     */
+    touch(vanId) {
+        const entry = this.entries.get(vanId);
+        if (entry) {
+            this.entries.delete(vanId);
+            this.entries.set(vanId, entry);
+        }
+    }
+
+    /**
+     * Replace the set of pinned vans (pinned vans are never evicted)
+     * @param {Array<string>} vanIds - IDs to pin
+     */
+    pin(vanIds) {
+        this.pinned = new Set(vanIds);
+        this.enforceBudget();
+    }
+
+    isPinned(vanId) {
+        return this.pinned.has(vanId);
+    }
+
+    /**
+     * Remove a van from the cache, calling onEvict for it
+     */
+    delete(vanId) {
+        const entry = this.entries.get(vanId);
+        if (!entry) return false;
+
+        this.entries.delete(vanId);
+        this.totalBytes -= entry.bytes;
+
+        if (this.onEvict) {
+            this.onEvict(vanId, entry.data);
+        }
+        return true;
+    }
+
+    /**
+     * Evict least recently used, unpinned vans until within budget
+     * @param {string} protectedId - Optional van to keep in addition to the pinned ones
+     */
+    enforceBudget(protectedId = null) {
+        for (const vanId of Array.from(this.entries.keys())) {
+            if (this.entries.size <= this.maxVans && this.totalBytes <= this.maxBytes) {
+                break;
+            }
+            if (this.pinned.has(vanId) || vanId === protectedId) {
+                continue;
+            }
+
+            console.log(`Evicting ${vanId} from van cache`);
+            this.delete(vanId);
+        }
+    }
+
+    /**
+     * Evict every cached van
+     */
+    clear() {
+        Array.from(this.entries.keys()).forEach(vanId => this.delete(vanId));
+        this.pinned.clear();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    keys() {
+        return this.entries.keys();
+    }
+
+    /**
+     * Get cache usage for debugging
+     */
+    getStats() {
+        return {
+            vans: this.entries.size,
+            maxVans: this.maxVans,
+            bytes: this.totalBytes,
+            maxBytes: this.maxBytes,
+            pinned: Array.from(this.pinned)
+        };
+    }
+}
@@ -1,4 +1,7 @@
 import { ModelLoader } from '../utils/ModelLoader.js';
+import { AssetValidator } from '../utils/AssetValidator.js';
+import { VanCache } from './VanCache.js';
+import { PrefetchQueue } from './PrefetchQueue.js';
 import { CONFIG } from '../config.js';
 import * as THREE from 'three';
 
@@ -12,115 +15,314 @@ export class VanManager {
         this.modelLoader = new ModelLoader(onLoadProgress);
         this.currentVan = null;
         this.garageModel = null;
-        this.vans = new Map(); // Store loaded vans for quick switching
+        this.garageValidation = null; // Asset validation issues of the garage (see validateModel)
+        this.validator = new AssetValidator();
+        this.vans = new VanCache({ // Loaded vans for quick switching, LRU within budget
+            maxVans: CONFIG.models.vans.cache.maxVans,
+            maxBytes: CONFIG.models.vans.cache.maxMegabytes * 1024 * 1024,
+            onEvict: (vanId, vanData) => this.unloadVan(vanId, vanData)
+        });
         this.currentVanId = null;
         this.availableVans = []; // Dynamically detected vans
         this.vansDetected = false;
-        this.wheelModel = null; // Cached wheel model
-        this.loadWheelModel(); // Preload wheel model
+        this.pendingLoads = new Map(); // In-flight van downloads by ID
+        this.latestRequestId = 0; // Incremented by every loadVan() call
+        this.foregroundLoads = 0; // loadVan() downloads in progress (prefetching waits for them)
+        this.prefetchQueue = new PrefetchQueue({
+            load: (vanId) => this.fetchVan(vanId),
+            concurrency: CONFIG.models.vans.prefetch.concurrency
+        });
+        this.comparison = null; // { vans: [{ id, data, originalX }] } while comparing two vans
+        this.onComparisonChange = null; // Called with the compared van data (or null on exit)
+        this.onVanLoaded = null; // Called with the van data whenever a van finishes loading (shown or prefetched)
+        this.onSceneChange = null; // Called when vans are shown, hidden or moved
+        this.onVanUnloaded = null; // Called with (vanId, vanData) before an evicted van is disposed
+        this.onCurrentVanChange = null; // Called with the van data when a van is shown on its own (switch, comparison exit)
+        this.wheelCatalog = []; // Wheel catalog entries
+        this.defaultWheelId = null;
+        this.wheelModels = new Map(); // Promise of { model, info } (or null) by wheel ID
+        this.wheelSelections = new Map(); // Wheel ID picked in the UI by van ID
+        this.drive = null; // Drive-in animation of the van being shown
+        this.steering = false; // Front wheels turned for hero shots
+        this.lastUpdateTime = null; // performance.now() of the last update()
+        this.wheelCatalogLoaded = this.loadWheelCatalog()
+            .then(() => this.loadWheelModel(this.defaultWheelId)); // Preload default wheel
     }
 
     /**
-     * Detect available van models in the vans folder
-     * Attempts to load vans from 001 to 999 and builds a list of available ones
+     * Detect available van models
+     * Loads the van catalog first and only falls back to probing the vans folder
+     * when no catalog exists
      */
     async detectAvailableVans() {
         if (this.vansDetected) {
             return this.availableVans;
         }
 
+        let detectedVans = await this.loadCatalog();
+        if (!detectedVans) {
+            detectedVans = await this.probeAvailableVans();
+        }
+
+        // Sort by van number
+        detectedVans.sort((a, b) => a.number - b.number);
+
+        this.availableVans = detectedVans;
+        this.vansDetected = true;
+        console.log(`Detected ${detectedVans.length} van models:`, detectedVans.map(v => v.id));
+        
+        return this.availableVans;
+    }
+
+    /**
+     * Load the van catalog (vans.json) from the vans folder
+     * @returns {Promise<Array|null>} - Normalized van entries, or null if no catalog exists
+     */
+    async loadCatalog() {
+        const catalogPath = CONFIG.models.vans.basePath + CONFIG.models.vans.catalog;
+
+        try {
+            const response = await fetch(catalogPath);
+            if (!response.ok) {
+                console.log(`No van catalog at ${catalogPath}, falling back to probing`);
+                return null;
+            }
+
+            const catalog = await response.json();
+            const entries = Array.isArray(catalog) ? catalog : catalog.vans;
+            if (!Array.isArray(entries)) {
+                console.warn(`Van catalog ${catalogPath} has no vans array, falling back to probing`);
+                return null;
+            }
+
+            const vans = entries
+                .filter(entry => entry && (entry.id || entry.filename))
+                .map(entry => this.normalizeVanEntry(entry));
+
+            console.log(`Loaded van catalog with ${vans.length} entries`);
+            return vans;
+        } catch (error) {
+            console.warn(`Failed to read van catalog ${catalogPath}, falling back to probing:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Probe the vans folder for van-001 .. van-NNN with HEAD requests
+     * Only used when no catalog exists
+     */
+    async probeAvailableVans() {
         console.log('Detecting available van models...');
-        const detectedVans = [];
         
         // Check vans in parallel for better performance
-        const checkCount = 100; // Check first 100 vans
         const checkPromises = [];
         
-        for (let i = 1; i <= checkCount; i++) {
-            const vanId = CONFIG.models.vans.getVanId(i);
-            const filename = CONFIG.models.vans.getFilename(i);
-            const vanPath = CONFIG.models.vans.basePath + filename;
+        for (let i = 1; i <= CONFIG.models.vans.probeCount; i++) {
+            const vanPath = CONFIG.models.vans.basePath + CONFIG.models.vans.getFilename(i);
             
             // Create promise for each check
             checkPromises.push(
                 fetch(vanPath, { method: 'HEAD' })
-                    .then(response => {
-                        if (response.ok) {
-                            return {
-                                id: vanId,
-                                name: `Van ${String(i).padStart(3, '0')}`,
-                                filename: filename,
-                                thumbnail: `thumbnails/van-${String(i).padStart(3, '0')}.jpg`,
-                                number: i,
-                                scale: CONFIG.models.vans.defaultScale,
-                                position: CONFIG.models.vans.defaultPosition,
-                                rotation: { x: 0, y: Math.PI, z: 0 }
-                            };
-                        }
-                        return null;
-                    })
+                    .then(response => response.ok ? this.createVanEntry(i) : null)
                     .catch(() => null) // File doesn't exist
             );
         }
         
-        // Wait for all checks to complete in parallel
+        // Wait for all checks to complete in parallel and drop missing vans
         const results = await Promise.all(checkPromises);
-        
-        // Filter out null results and sort by number
-        results.forEach(result => {
-            if (result) {
-                detectedVans.push(result);
-                console.log(`Found: ${result.id}`);
-            }
+        return results.filter(result => result !== null);
+    }
+
+    /**
+     * Build a default van entry from its number (e.g., 1 for van-001.glb)
+     * @param {number} vanNumber - Number of the van
+     */
+    createVanEntry(vanNumber) {
+        return this.normalizeVanEntry({
+            id: CONFIG.models.vans.getVanId(vanNumber),
+            filename: CONFIG.models.vans.getFilename(vanNumber)
         });
-        
-        // Sort by van number
-        detectedVans.sort((a, b) => a.number - b.number);
+    }
 
-        this.availableVans = detectedVans;
-        this.vansDetected = true;
-        console.log(`Detected ${detectedVans.length} van models:`, detectedVans.map(v => v.id));
-        
-        return this.availableVans;
+    /**
+     * Fill in defaults for a catalog entry
+     * Partial position/rotation overrides are merged with the defaults
+     * @param {Object} entry - Raw catalog entry
+     */
+    normalizeVanEntry(entry) {
+        const vansConfig = CONFIG.models.vans;
+        const id = entry.id || entry.filename.replace(vansConfig.fileExtension, '');
+        const match = id.match(/(\d+)$/);
+        const number = match ? parseInt(match[1], 10) : Infinity;
+        const paddedNumber = match ? match[1] : id;
+
+        return {
+            ...entry,
+            id: id,
+            name: entry.name || `Van ${paddedNumber}`,
+            filename: entry.filename || `${id}${vansConfig.fileExtension}`,
+            thumbnail: entry.thumbnail || `thumbnails/${id}.jpg`,
+            number: number,
+            make: entry.make || null,
+            model: entry.model || null,
+            year: entry.year || null,
+            tags: Array.isArray(entry.tags) ? entry.tags : [],
+            wheel: entry.wheel || null,
+            tyreDiameter: entry.tyreDiameter || null,
+            viewpoints: entry.viewpoints || null,
+            scale: entry.scale || vansConfig.defaultScale,
+            position: { ...vansConfig.defaultPosition, ...entry.position },
+            rotation: { ...vansConfig.defaultRotation, ...entry.rotation }
+        };
     }
 
     /**
-     * Load wheel model for attaching to vans
+     * Load the wheel catalog (wheels.json); falls back to the single default wheel
      */
-    async loadWheelModel() {
+    async loadWheelCatalog() {
+        const wheelsConfig = CONFIG.models.wheels;
+        const catalogPath = wheelsConfig.basePath + wheelsConfig.catalog;
+        let entries = null;
+        let defaultWheelId = null;
+
         try {
-            const wheelPath = 'models/vans/wheel/wheel.glb';
-            const wheelData = await this.modelLoader.loadModel(wheelPath, {
-                scale: 1.0,
-                position: { x: 0, y: 0, z: 0 },
-                rotation: { x: 0, y: 0, z: 0 }
-            });
-            this.wheelModel = wheelData.model;
-            console.log('Wheel model loaded successfully');
+            const response = await fetch(catalogPath);
+            if (response.ok) {
+                const catalog = await response.json();
+                entries = Array.isArray(catalog) ? catalog : catalog.wheels;
+                defaultWheelId = catalog.default || null;
+            } else {
+                console.log(`No wheel catalog at ${catalogPath}, using ${wheelsConfig.defaultFilename}`);
+            }
         } catch (error) {
-            console.warn('Wheel model not found or failed to load:', error);
-            this.wheelModel = null;
+            console.warn(`Failed to read wheel catalog ${catalogPath}:`, error);
+        }
+
+        if (!Array.isArray(entries) || entries.length === 0) {
+            entries = [{ filename: wheelsConfig.defaultFilename }];
+        }
+
+        this.wheelCatalog = entries
+            .filter(entry => entry && (entry.id || entry.filename))
+            .map(entry => {
+                const id = entry.id || entry.filename.replace(/\.[^.]+$/, '');
+                return {
+                    ...entry,
+                    id: id,
+                    name: entry.name || id,
+                    filename: entry.filename || `${id}.glb`,
+                    rim: entry.rim || null,
+                    tyre: entry.tyre || null
+                };
+            });
+        this.defaultWheelId = this.wheelCatalog.some(wheel => wheel.id === defaultWheelId)
+            ? defaultWheelId
+            : this.wheelCatalog[0].id;
+
+        console.log(`Wheel catalog: ${this.wheelCatalog.map(wheel => wheel.id).join(', ')}`);
+        return this.wheelCatalog;
+    }
+
+    /**
+     * Get the wheel catalog once it has loaded
+     */
+    async getWheelCatalogAsync() {
+        await this.wheelCatalogLoaded;
+        return this.wheelCatalog;
+    }
+
+    /**
+     * Load a wheel model from the catalog (cached; shared by every van using it)
+     * @param {string} wheelId - Wheel catalog ID
+     * @returns {Promise<Object|null>} - { model, info }, or null if it failed to load
+     */
+    loadWheelModel(wheelId) {
+        if (this.wheelModels.has(wheelId)) {
+            return this.wheelModels.get(wheelId);
+        }
+
+        const entry = this.wheelCatalog.find(wheel => wheel.id === wheelId);
+        if (!entry) {
+            return Promise.resolve(null);
+        }
+
+        const wheelPath = CONFIG.models.wheels.basePath + entry.filename;
+        const wheelPromise = this.modelLoader.loadModel(wheelPath, {
+            scale: 1.0,
+            position: { x: 0, y: 0, z: 0 },
+            rotation: { x: 0, y: 0, z: 0 }
+        }).then(wheelData => {
+            const info = this.measureWheel(wheelData.model);
+            console.log(`Wheel model ${wheelId} loaded successfully`, info);
+            return { model: wheelData.model, info };
+        }).catch(error => {
+            console.warn(`Wheel model ${wheelId} not found or failed to load:`, error);
+            return null;
+        });
+
+        this.wheelModels.set(wheelId, wheelPromise);
+        return wheelPromise;
+    }
+
+    /**
+     * Wheel for a van: picked in the UI, else the catalog entry's `wheel`, else the default
+     */
+    getVanWheelId(vanConfig) {
+        const candidates = [this.wheelSelections.get(vanConfig.id), vanConfig.wheel];
+        const wheelId = candidates.find(id => id && this.wheelCatalog.some(wheel => wheel.id === id));
+        return wheelId || this.defaultWheelId;
+    }
+
+    /**
+     * Swap the wheels on a van (kept for that van if it is evicted and reloaded)
+     * @param {string} vanId - Van ID
+     * @param {string} wheelId - Wheel catalog ID
+     * @returns {Promise<boolean>} - False if the wheel failed to load or another wheel was picked meanwhile
+     */
+    async setVanWheel(vanId, wheelId) {
+        this.wheelSelections.set(vanId, wheelId);
+
+        const wheel = await this.loadWheelModel(wheelId);
+        const vanData = this.vans.get(vanId);
+        if (!wheel || !vanData || this.wheelSelections.get(vanId) !== wheelId) {
+            return false;
         }
+
+        this.removeWheels(vanData.model);
+        this.attachWheelsToVan(vanData.model, wheel, vanData.config.tyreDiameter);
+        vanData.wheelId = wheelId;
+
+        console.log(`${vanId}: wheels set to ${wheelId}`);
+        this.notifySceneChange();
+        return true;
+    }
+
+    /**
+     * Remove attached wheel clones (their resources belong to the cached wheel model)
+     */
+    removeWheels(vanModel) {
+        (vanModel.userData.wheels || []).forEach(wheel => {
+            wheel.steer.parent.remove(wheel.steer);
+        });
+        vanModel.userData.wheels = [];
     }
 
     /**
      * Attach wheels to van if null objects FL, FR, RL, RR exist
+     * @param {THREE.Object3D} vanModel - Van model
+     * @param {Object|null} wheel - Loaded wheel ({ model, info })
+     * @param {number|null} tyreDiameter - Scale the wheel to this outer diameter (metres)
      */
-    attachWheelsToVan(vanModel) {
-        if (!this.wheelModel) {
+    attachWheelsToVan(vanModel, wheel, tyreDiameter = null) {
+        if (!wheel) {
             console.log('No wheel model available, skipping wheel attachment');
             return;
         }
 
-        const wheelPositions = ['FL', 'FR', 'RL', 'RR'];
-        const foundNulls = [];
+        const wheelPositions = CONFIG.models.wheels.mounts;
         
         // Search for null objects in the van model
-        vanModel.traverse((child) => {
-            if (wheelPositions.includes(child.name)) {
-                foundNulls.push(child);
-            }
-        });
+        const foundNulls = this.modelLoader.findNodes(vanModel, (child) => wheelPositions.includes(child.name));
 
         if (foundNulls.length === 0) {
             console.log('No wheel null objects found in van model, displaying without wheels');
@@ -129,14 +331,22 @@ export class VanManager {
 
         console.log(`Found ${foundNulls.length} wheel mount points:`, foundNulls.map(n => n.name));
 
-        // Attach wheel clones to each null object position
-        foundNulls.forEach((nullObject) => {
-            const wheelClone = this.wheelModel.clone();
+        // Attach wheel clones to each null object position:
+        // steer pivot (van space, turns around Y) > mount (null rotation/scale) > spin (rolls around the axle) > wheel
+        vanModel.updateMatrixWorld(true);
+        const wheels = foundNulls.map((nullObject) => {
+            const wheelClone = wheel.model.clone();
+            wheelClone.userData.sharedResources = true; // Geometry/materials belong to the cached wheel model
+            
+            const steer = new THREE.Group();
+            steer.name = `${nullObject.name}_steer`;
+            steer.position.copy(nullObject.position);
             
-            // Copy position and rotation from null object
-            wheelClone.position.copy(nullObject.position);
-            wheelClone.rotation.copy(nullObject.rotation);
-            wheelClone.scale.copy(nullObject.scale);
+            const mount = new THREE.Group();
+            mount.rotation.copy(nullObject.rotation);
+            mount.scale.copy(nullObject.scale);
+            
+            const spin = new THREE.Group();
             
             // Make wheels not receive shadows from shadow box
             wheelClone.traverse((child) => {
@@ -146,10 +356,159 @@ export class VanManager {
             });
             
             // Add wheel to the van model
-            vanModel.add(wheelClone);
+            spin.add(wheelClone);
+            mount.add(spin);
+            steer.add(mount);
+            vanModel.add(steer);
+            steer.updateMatrixWorld(true);
             
             console.log(`Attached wheel to ${nullObject.name}`);
+            return this.createWheelRig(nullObject.name, steer, mount, spin, wheel.info, tyreDiameter);
         });
+
+        vanModel.userData.wheels = wheels;
+    }
+
+    /**
+     * Wheel radius and axle axis from the wheel model's bounds
+     * (the thinnest dimension is the axle)
+     */
+    measureWheel(wheelModel) {
+        const size = new THREE.Box3().setFromObject(wheelModel).getSize(new THREE.Vector3());
+        const axes = ['x', 'y', 'z'];
+        const axle = axes.reduce((thinnest, axis) => size[axis] < size[thinnest] ? axis : thinnest);
+        const radius = Math.max(...axes.filter(axis => axis !== axle).map(axis => size[axis])) / 2;
+
+        return { radius, axle };
+    }
+
+    /**
+     * Everything needed to roll and steer one attached wheel
+     * With a tyre diameter the spin group is scaled so the wheel matches it
+     * @returns {Object} - { name, front, steer, spin, axle, radius (world units), spinSign }
+     */
+    createWheelRig(name, steer, mount, spin, wheelInfo, tyreDiameter) {
+        const { axle } = wheelInfo;
+        const rollAxis = axle === 'x' ? 'y' : 'x';
+        const worldScale = spin.getWorldScale(new THREE.Vector3());
+        let radius = wheelInfo.radius * worldScale[rollAxis];
+
+        if (tyreDiameter && radius > 0) {
+            spin.scale.setScalar(tyreDiameter / 2 / radius);
+            radius = tyreDiameter / 2;
+        }
+
+        // Rolling forward (+Z) turns the wheel around the van's +X; flip if the mount faces the other way
+        const axleInVan = new THREE.Vector3().setComponent(['x', 'y', 'z'].indexOf(axle), 1)
+            .applyQuaternion(mount.quaternion);
+
+        return {
+            name: name,
+            front: name.startsWith('F'),
+            steer: steer,
+            spin: spin,
+            axle: axle,
+            radius: radius,
+            spinSign: axleInVan.x < 0 ? -1 : 1
+        };
+    }
+
+    /**
+     * Turn a van's wheels as if it moved forward
+     * @param {THREE.Object3D} vanModel - Van with attached wheels
+     * @param {number} distance - World units travelled (negative = backwards)
+     */
+    rollWheels(vanModel, distance) {
+        const wheels = vanModel.userData.wheels || [];
+        wheels.forEach(wheel => {
+            if (wheel.radius > 0) {
+                wheel.spin.rotation[wheel.axle] += wheel.spinSign * distance / wheel.radius;
+            }
+        });
+    }
+
+    /**
+     * Turn the front wheels for hero shots (eased in update())
+     */
+    setSteering(enabled) {
+        this.steering = enabled;
+        this.notifySceneChange();
+    }
+
+    isSteering() {
+        return this.steering;
+    }
+
+    /**
+     * Roll the van being shown into its bay from behind
+     */
+    startDriveIn(vanModel) {
+        const settings = CONFIG.wheels.driveIn;
+        if (!settings.enabled) return;
+
+        const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(vanModel.quaternion).setY(0).normalize();
+        this.drive = {
+            model: vanModel,
+            rest: vanModel.position.clone(),
+            forward: forward,
+            start: performance.now(),
+            travelled: 0
+        };
+        vanModel.position.addScaledVector(forward, -settings.distance);
+    }
+
+    /**
+     * Put a van that is still driving in at its resting position
+     */
+    finishDriveIn() {
+        if (!this.drive) return;
+
+        const { model, travelled } = this.drive;
+        model.position.copy(this.drive.rest);
+        this.rollWheels(model, CONFIG.wheels.driveIn.distance - travelled);
+        this.drive = null;
+    }
+
+    /**
+     * Advance the drive-in and steering (call once per frame)
+     * @returns {boolean} - True while the van or its wheels are moving
+     */
+    update() {
+        // Clamp so a long gap between frames (sleeping loop) doesn't jump
+        const now = performance.now();
+        const deltaSeconds = this.lastUpdateTime === null ? 0 : Math.min((now - this.lastUpdateTime) / 1000, 0.1);
+        this.lastUpdateTime = now;
+        let moving = false;
+
+        if (this.drive) {
+            const { distance, duration } = CONFIG.wheels.driveIn;
+            const progress = Math.min((now - this.drive.start) / duration, 1);
+            const travelled = distance * (1 - Math.pow(1 - progress, 3)); // Ease out (brake into the bay)
+
+            this.rollWheels(this.drive.model, travelled - this.drive.travelled);
+            this.drive.travelled = travelled;
+            this.drive.model.position.copy(this.drive.rest).addScaledVector(this.drive.forward, travelled - distance);
+
+            if (progress >= 1) {
+                this.drive = null;
+            }
+            moving = true;
+        }
+
+        if (this.currentVan && this.currentVan.userData.wheels) {
+            const target = this.steering ? THREE.MathUtils.degToRad(CONFIG.wheels.steerAngle) : 0;
+            const maxStep = THREE.MathUtils.degToRad(CONFIG.wheels.steerSpeed) * deltaSeconds;
+
+            this.currentVan.userData.wheels.filter(wheel => wheel.front).forEach(wheel => {
+                const angle = wheel.steer.rotation.y;
+                if (angle !== target) {
+                    wheel.steer.rotation.y = angle + THREE.MathUtils.clamp(target - angle, -maxStep, maxStep);
+                    moving = true;
+                }
+            });
+        }
+
+        return moving;
     }
 
     /**
@@ -180,24 +539,10 @@ export class VanManager {
     }
 
     /**
-     * Get list of available vans (combines config list and detected vans)
+     * Get list of available vans, detecting them first if needed
      */
     async getAvailableVansAsync() {
-        if (!this.vansDetected) {
-            await this.detectAvailableVans();
-        }
-        
-        // Merge config list with detected vans (detected takes precedence)
-        const configVans = CONFIG.models.vans.list;
-        const allVans = new Map();
-        
-        // Add config vans first
-        configVans.forEach(van => allVans.set(van.id, van));
-        
-        // Add/override with detected vans
-        this.availableVans.forEach(van => allVans.set(van.id, van));
-        
-        return Array.from(allVans.values());
+        return this.detectAvailableVans();
     }
 
     /**
@@ -213,7 +558,9 @@ export class VanManager {
             });
 
             this.garageModel = garageData.model;
+            this.garageValidation = this.validateModel('garage', CONFIG.models.garage.filename, garageData);
             this.scene.addObject(this.garageModel);
+            this.notifySceneChange();
 
             // Log garage info
             const info = this.modelLoader.getModelInfo(this.garageModel);
@@ -234,63 +581,29 @@ export class VanManager {
      */
     async loadVanByNumber(vanNumber) {
         const vanId = CONFIG.models.vans.getVanId(vanNumber);
-        const filename = CONFIG.models.vans.getFilename(vanNumber);
         
-        // Check if van is already loaded
-        if (this.vans.has(vanId)) {
-            return this.switchToVan(vanId);
+        // Vans outside the catalog can still be loaded by number
+        if (!this.availableVans.some(van => van.id === vanId)) {
+            this.availableVans.push(this.createVanEntry(vanNumber));
+            this.availableVans.sort((a, b) => a.number - b.number);
         }
 
-        try {
-            const vanPath = CONFIG.models.vans.basePath + filename;
-            const vanData = await this.modelLoader.loadModel(vanPath, {
-                scale: CONFIG.models.vans.defaultScale,
-                position: CONFIG.models.vans.defaultPosition,
-                rotation: { x: 0, y: Math.PI, z: 0 }
-            });
-
-            // Attach wheels if null objects exist
-            this.attachWheelsToVan(vanData.model);
-
-            // Get model info and add file size
-            const modelInfo = this.modelLoader.getModelInfo(vanData.model);
-            modelInfo.fileSize = vanData.fileSize;
-
-            // Create invisible shadow box to simulate roof
-            const boundingBox = new THREE.Box3().setFromObject(vanData.model);
-            this.createShadowBox(vanData.model, boundingBox);
-
-            // Store van data
-            this.vans.set(vanId, {
-                model: vanData.model,
-                config: {
-                    id: vanId,
-                    name: `Van ${String(vanNumber).padStart(3, '0')}`,
-                    filename: filename,
-                    thumbnail: `thumbnails/van-${String(vanNumber).padStart(3, '0')}.jpg`
-                },
-                animations: vanData.animations,
-                info: modelInfo
-            });
-
-            // Log van info
-            console.log(`Van ${vanId} loaded:`, this.vans.get(vanId).info);
-
-            // Switch to this van
-            this.switchToVan(vanId);
-
-            return this.vans.get(vanId);
-        } catch (error) {
-            console.error(`Failed to load van ${vanId}:`, error);
-            throw error;
-        }
+        return this.loadVan(vanId);
     }
 
     /**
-     * Load a truck model
+     * Load a truck model and show it
+     * Every call is a new request; when a newer request starts before this one
+     * finishes, the loaded truck is kept in the cache but not shown
      * @param {string} truckId - ID of the truck to load (e.g., 'van-001')
+     * @returns {Promise<Object|null>} - Truck data, or null if the request was superseded
      */
     async loadVan(truckId) {
+        const requestId = ++this.latestRequestId;
+
+        // Selecting a single van leaves comparison mode
+        this.exitComparison();
+
         // Hide current truck immediately when starting to load new one
         if (this.currentVan) {
             this.currentVan.visible = false;
@@ -301,32 +614,111 @@ export class VanManager {
             return this.switchToVan(truckId);
         }
 
-        // Find truck config (check both config list and detected vans)
-        let truckConfig = CONFIG.models.vans.list.find(t => t.id === truckId);
-        
-        // If not in config, check detected vans
-        if (!truckConfig) {
-            truckConfig = this.availableVans.find(t => t.id === truckId);
+        try {
+            await this.fetchVansInForeground([truckId]);
+        } catch (error) {
+            // Re-show the current truck if loading failed and nothing else was requested since
+            if (this.isLatestRequest(requestId) && this.currentVan) {
+                this.currentVan.visible = true;
+            }
+            throw error;
+        }
+
+        if (!this.isLatestRequest(requestId)) {
+            console.log(`Van ${truckId} load superseded, kept in cache only`);
+            return null;
+        }
+
+        // The truck may have been evicted while other requests were loading
+        if (!this.vans.has(truckId)) {
+            return this.loadVan(truckId);
+        }
+
+        // Switch to this truck
+        return this.switchToVan(truckId);
+    }
+
+    /**
+     * Load vans the user is waiting for; background prefetching waits until they finish
+     * @param {Array<string>} truckIds - IDs of the trucks to load
+     */
+    async fetchVansInForeground(truckIds) {
+        this.foregroundLoads++;
+        truckIds.forEach(truckId => this.prefetchQueue.remove(truckId));
+        this.prefetchQueue.pause();
+
+        try {
+            return await Promise.all(truckIds.map(truckId => this.fetchVan(truckId)));
+        } finally {
+            this.foregroundLoads--;
+            if (this.foregroundLoads === 0) {
+                this.prefetchQueue.resume();
+            }
+        }
+    }
+
+    /**
+     * Check whether a loadVan() / compareVans() request is still the most recent one
+     * @param {number} requestId - Request ID assigned in loadVan() / compareVans()
+     */
+    isLatestRequest(requestId) {
+        return requestId === this.latestRequestId;
+    }
+
+    /**
+     * Load a truck model into the cache without showing it
+     * Concurrent calls for the same truck share one download
+     * @param {string} truckId - ID of the truck to load (e.g., 'van-001')
+     */
+    async fetchVan(truckId) {
+        if (this.vans.has(truckId)) {
+            return this.vans.get(truckId);
+        }
+        if (this.pendingLoads.has(truckId)) {
+            return this.pendingLoads.get(truckId);
         }
+
+        // Find truck config in the catalog / detected vans
+        const truckConfig = this.availableVans.find(t => t.id === truckId);
         
         if (!truckConfig) {
-            throw new Error(`Van with ID ${truckId} not found in config or detected vans`);
+            throw new Error(`Van with ID ${truckId} not found in catalog or detected vans`);
         }
 
+        const loadPromise = this.loadVanModel(truckConfig)
+            .finally(() => this.pendingLoads.delete(truckId));
+        this.pendingLoads.set(truckId, loadPromise);
+
+        return loadPromise;
+    }
+
+    /**
+     * Download and prepare a truck model, then store it in the cache
+     * @param {Object} truckConfig - Catalog entry of the truck
+     */
+    async loadVanModel(truckConfig) {
+        const truckId = truckConfig.id;
+
         try {
             const truckPath = CONFIG.models.vans.basePath + truckConfig.filename;
             const truckData = await this.modelLoader.loadModel(truckPath, {
-                scale: truckConfig.scale || CONFIG.models.vans.defaultScale,
-                position: truckConfig.position || CONFIG.models.vans.defaultPosition,
-                rotation: truckConfig.rotation || { x: 0, y: Math.PI, z: 0 }
+                scale: truckConfig.scale,
+                position: truckConfig.position,
+                rotation: truckConfig.rotation
             });
 
+            // Validate the scan itself, before wheels are attached
+            const validation = this.validateModel('van', truckConfig.filename, truckData);
+
             // Attach wheels if null objects exist
-            this.attachWheelsToVan(truckData.model);
+            await this.wheelCatalogLoaded;
+            const wheelId = this.getVanWheelId(truckConfig);
+            this.attachWheelsToVan(truckData.model, await this.loadWheelModel(wheelId), truckConfig.tyreDiameter);
 
-            // Get model info and add file size
+            // Get model info and add file size / GPU memory estimate
             const modelInfo = this.modelLoader.getModelInfo(truckData.model);
             modelInfo.fileSize = truckData.fileSize;
+            modelInfo.gpuBytes = this.modelLoader.estimateGPUBytes(truckData.model);
 
             // Create invisible shadow box to simulate roof
             const boundingBox = new THREE.Box3().setFromObject(truckData.model);
@@ -337,26 +729,66 @@ export class VanManager {
                 model: truckData.model,
                 config: truckConfig,
                 animations: truckData.animations,
-                info: modelInfo
-            });
+                variants: this.getMaterialVariants(truckData),
+                info: modelInfo,
+                bounds: boundingBox, // World-space bounds in the bay (camera framing)
+                boundsPosition: truckData.model.position.clone(), // Model position the bounds were measured at
+                validation: validation,
+                wheelId: wheelId
+            }, modelInfo.gpuBytes);
 
             // Log truck info
-            console.log(`Van ${truckId} loaded:`, this.vans.get(truckId).info);
+            console.log(`Van ${truckId} loaded:`, modelInfo);
 
-            // Switch to this truck
-            this.switchToVan(truckId);
+            const vanData = this.vans.get(truckId);
+            if (this.onVanLoaded) {
+                this.onVanLoaded(vanData);
+            }
 
-            return this.vans.get(truckId);
+            return vanData;
         } catch (error) {
             console.error(`Failed to load truck ${truckId}:`, error);
-            // Re-show the current truck if loading failed
-            if (this.currentVan) {
-                this.currentVan.visible = true;
-            }
             throw error;
         }
     }
 
+    /**
+     * Check a loaded model against CONFIG.models.recommended and log what is over budget
+     * @param {string} kind - 'garage' or 'van'
+     * @param {string} filename - Model file name
+     * @param {Object} modelData - Result of ModelLoader.loadModel()
+     * @returns {Array|null} - Issues (see AssetValidator), null when validation is disabled
+     */
+    validateModel(kind, filename, modelData) {
+        if (!CONFIG.validation.enabled) return null;
+
+        const issues = this.validator.validate(kind, {
+            format: filename.split('.').pop() === 'gltf' ? 'GLTF' : 'GLB',
+            polygonCount: this.modelLoader.getModelInfo(modelData.model).polygonCount,
+            fileSize: modelData.fileSize,
+            textures: this.modelLoader.getTextureInfo(modelData.model)
+        });
+        issues.forEach(issue => console.warn(`${filename}: ${issue.message}`));
+
+        return issues;
+    }
+
+    /**
+     * KHR_materials_variants authored in a loaded GLB
+     * The parser is only kept for models that have variants (it holds the file's buffers)
+     * @returns {Object|null} - { names, parser }
+     */
+    getMaterialVariants(truckData) {
+        const extensions = truckData.userData && truckData.userData.gltfExtensions;
+        const variants = extensions && extensions.KHR_materials_variants;
+        if (!variants || !Array.isArray(variants.variants)) return null;
+
+        return {
+            names: variants.variants.map((variant, index) => variant.name || `Variant ${index + 1}`),
+            parser: truckData.parser
+        };
+    }
+
     /**
      * Switch to a previously loaded truck
      * @param {string} truckId - ID of the truck to switch to
@@ -366,6 +798,9 @@ export class VanManager {
             throw new Error(`Van ${truckId} not loaded yet`);
         }
 
+        this.finishDriveIn();
+        this.exitComparison();
+
         // Hide current truck from scene (instead of removing, just make invisible)
         if (this.currentVan) {
             this.currentVan.visible = false;
@@ -375,28 +810,227 @@ export class VanManager {
         const truckData = this.vans.get(truckId);
         this.currentVan = truckData.model;
         this.currentVanId = truckId;
+        this.vans.touch(truckId);
+        this.updateCachePins(truckId);
         
         // If not already in scene, add it
         if (!this.currentVan.parent) {
             this.scene.addObject(this.currentVan);
         }
         
-        // Make it visible
+        // Make it visible and roll it into the bay
         this.currentVan.visible = true;
+        this.startDriveIn(this.currentVan);
+
+        // Quietly fetch the vans the user is most likely to switch to next
+        this.prefetchNeighbours(truckId);
+        this.notifySceneChange();
+        this.notifyCurrentVanChange();
 
         return truckData;
     }
 
+    notifyCurrentVanChange() {
+        if (this.onCurrentVanChange && this.currentVanId) {
+            this.onCurrentVanChange(this.vans.get(this.currentVanId));
+        }
+    }
+
+    notifySceneChange() {
+        if (this.onSceneChange) {
+            this.onSceneChange();
+        }
+    }
+
     /**
-     * Get list of available vans (synchronous - returns config list)
+     * Show two vans next to each other (left van becomes the current van)
+     * Like loadVan(), a newer request makes this one a no-op
+     * @param {string} leftId - ID of the van on the left
+     * @param {string} rightId - ID of the van on the right
+     * @returns {Promise<Array|null>} - [leftData, rightData], or null if superseded
+     */
+    async compareVans(leftId, rightId) {
+        const requestId = ++this.latestRequestId;
+        const vanIds = [leftId, rightId];
+
+        // Make sure both trucks are in the catalog before loading anything
+        vanIds.forEach(vanId => {
+            if (!this.availableVans.some(van => van.id === vanId)) {
+                throw new Error(`Van with ID ${vanId} not found in catalog or detected vans`);
+            }
+        });
+
+        await this.fetchVansInForeground(vanIds);
+        if (!this.isLatestRequest(requestId)) {
+            return null;
+        }
+
+        this.finishDriveIn();
+        this.exitComparison();
+        if (vanIds.some(vanId => !this.vans.has(vanId))) {
+            // Evicted while the other van was loading
+            return this.compareVans(leftId, rightId);
+        }
+        if (this.currentVan) {
+            this.currentVan.visible = false;
+        }
+
+        // Spread the vans along X around their normal position, CONFIG.comparison.gap
+        // apart whatever their widths (the same van on both sides is shown once)
+        const offsets = leftId === rightId ? [0] : this.getComparisonOffsets(vanIds.map(vanId => this.vans.get(vanId).bounds));
+        const bounds = new THREE.Box3();
+        this.comparison = {
+            vans: offsets.map((offset, index) => {
+                const data = this.vans.get(vanIds[index]);
+                const originalX = data.model.position.x;
+                data.model.position.x = originalX + offset;
+                if (!data.model.parent) {
+                    this.scene.addObject(data.model);
+                }
+                data.model.visible = true;
+                this.vans.touch(vanIds[index]);
+                bounds.union(data.bounds.clone().translate(new THREE.Vector3(offset, 0, 0)));
+                return { id: vanIds[index], data, originalX };
+            }),
+            bounds: bounds
+        };
+
+        this.currentVan = this.comparison.vans[0].data.model;
+        this.currentVanId = leftId;
+        this.updateCachePins(leftId);
+
+        const compared = vanIds.map(vanId => this.vans.get(vanId));
+        console.log(`Comparing ${leftId} with ${rightId}`);
+        this.notifySceneChange();
+        if (this.onComparisonChange) {
+            this.onComparisonChange(compared);
+        }
+        return compared;
+    }
+
+    /**
+     * X offsets that put two vans side by side: the pair spans both widths plus the gap,
+     * centred where the vans normally stand
+     * @param {Array<THREE.Box3>} bounds - [left, right] bounds in the bay
+     * @returns {Array<number>} - [left, right] offsets
+     */
+    getComparisonOffsets([leftBounds, rightBounds]) {
+        const leftWidth = leftBounds.max.x - leftBounds.min.x;
+        const rightWidth = rightBounds.max.x - rightBounds.min.x;
+        const halfSpan = (leftWidth + CONFIG.comparison.gap + rightWidth) / 2;
+        const centre = (leftBounds.min.x + leftBounds.max.x + rightBounds.min.x + rightBounds.max.x) / 4;
+
+        return [
+            centre - halfSpan - leftBounds.min.x,
+            centre + halfSpan - rightBounds.max.x
+        ];
+    }
+
+    /**
+     * World-space bounds of both compared vans (null outside comparison mode)
+     */
+    getComparisonBounds() {
+        return this.comparison ? this.comparison.bounds : null;
+    }
+
+    /**
+     * Leave comparison mode, keeping the left van on screen at its normal position
+     */
+    exitComparison() {
+        if (!this.comparison) return;
+
+        this.comparison.vans.forEach(({ data, originalX }) => {
+            data.model.position.x = originalX;
+            data.model.visible = data.model === this.currentVan;
+        });
+        this.comparison = null;
+        this.updateCachePins(this.currentVanId);
+
+        console.log('Comparison ended');
+        this.notifySceneChange();
+        if (this.onComparisonChange) {
+            this.onComparisonChange(null);
+        }
+        this.notifyCurrentVanChange();
+    }
+
+    isComparing() {
+        return this.comparison !== null;
+    }
+
+    /**
+     * Van data of the vans on screen (the current van, or both compared vans)
+     */
+    getVisibleVans() {
+        if (this.comparison) {
+            return this.comparison.vans.map(({ data }) => data);
+        }
+        const current = this.getCurrentVanInfo();
+        return current && current.model.visible ? [current] : [];
+    }
+
+    /**
+     * Pin the given van and its neighbours in getAvailableVans() order
+     * so the cache never evicts them
+     * @param {string} vanId - ID of the van being shown
+     */
+    updateCachePins(vanId) {
+        const pinned = [vanId, ...this.getNeighbourIds(vanId, CONFIG.models.vans.cache.pinNeighbours)];
+        if (this.comparison) {
+            this.comparison.vans.forEach(van => pinned.push(van.id));
+        }
+        this.vans.pin(pinned);
+    }
+
+    /**
+     * Get the IDs of the vans next to a van in getAvailableVans() order,
+     * nearest first, alternating next / previous
+     * @param {string} vanId - ID of the center van
+     * @param {number} distance - How many vans to take on each side
+     */
+    getNeighbourIds(vanId, distance) {
+        const vans = this.getAvailableVans();
+        const index = vans.findIndex(van => van.id === vanId);
+        const neighbours = [];
+
+        if (index === -1) return neighbours;
+
+        for (let offset = 1; offset <= distance; offset++) {
+            neighbours.push(vans[(index + offset) % vans.length].id);
+            neighbours.push(vans[(index - offset + vans.length) % vans.length].id);
+        }
+
+        // Small catalogs wrap around onto the same vans
+        return [...new Set(neighbours)].filter(id => id !== vanId);
+    }
+
+    /**
+     * Remove an evicted van from the scene and free its GPU resources
+     * Wheel clones share the cached wheel model's resources and are skipped
+     */
+    unloadVan(vanId, vanData) {
+        if (this.onVanUnloaded) {
+            this.onVanUnloaded(vanId, vanData);
+        }
+        if (vanData.model.parent) {
+            vanData.model.parent.remove(vanData.model);
+        }
+        this.modelLoader.disposeModel(vanData.model);
+
+        if (this.currentVanId === vanId) {
+            this.currentVan = null;
+            this.currentVanId = null;
+        }
+
+        console.log(`Van ${vanId} unloaded`);
+    }
+
+    /**
+     * Get list of available vans (synchronous - empty until detection has run)
      * For dynamic detection, use getAvailableVansAsync()
      */
     getAvailableVans() {
-        // Return detected vans if available, otherwise config list
-        if (this.vansDetected && this.availableVans.length > 0) {
-            return this.availableVans;
-        }
-        return CONFIG.models.vans.list;
+        return this.availableVans;
     }
 
     /**
@@ -408,17 +1042,30 @@ export class VanManager {
     }
 
     /**
-     * Preload all vans for instant switching
+     * Queue the neighbours of a van for background loading, replacing
+     * any neighbours queued for the previously shown van
+     * @param {string} vanId - ID of the van being shown
      */
-    async preloadAllVans() {
-        const promises = CONFIG.models.vans.list.map(truck => 
-            this.loadVan(truck.id).catch(err => {
-                console.warn(`Failed to preload truck ${truck.id}:`, err);
-                return null;
-            })
-        );
-        
-        return await Promise.allSettled(promises);
+    prefetchNeighbours(vanId) {
+        if (!CONFIG.models.vans.prefetch.enabled) return;
+
+        this.prefetchQueue.clear();
+        this.getNeighbourIds(vanId, CONFIG.models.vans.cache.pinNeighbours)
+            .forEach((neighbourId, index) => {
+                this.prefetchVan(neighbourId, CONFIG.models.vans.prefetch.priority.neighbour + index);
+            });
+    }
+
+    /**
+     * Load a van in the background so switching to it is instant
+     * @param {string} vanId - ID of the van to prefetch
+     * @param {number} priority - Queue priority (lower loads first)
+     */
+    prefetchVan(vanId, priority = CONFIG.models.vans.prefetch.priority.hover) {
+        if (!CONFIG.models.vans.prefetch.enabled) return;
+        if (this.vans.has(vanId) || this.pendingLoads.has(vanId)) return;
+
+        this.prefetchQueue.enqueue(vanId, priority);
     }
 
     /**
@@ -446,7 +1093,22 @@ export class VanManager {
      * Clean up resources
      */
     dispose() {
+        this.finishDriveIn();
+        this.exitComparison();
+        this.prefetchQueue.pause();
+        this.prefetchQueue.clear();
         this.vans.clear();
+        this.wheelModels.forEach(wheelPromise => {
+            wheelPromise.then(wheel => {
+                if (wheel) this.modelLoader.disposeModel(wheel.model);
+            });
+        });
+        this.wheelModels.clear();
+        if (this.garageModel) {
+            this.scene.removeObject(this.garageModel);
+            this.modelLoader.disposeModel(this.garageModel);
+            this.garageModel = null;
+        }
         this.modelLoader.dispose();
     }
 }
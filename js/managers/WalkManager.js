@@ -0,0 +1,403 @@
+import * as THREE from 'three';
+import { PointerLockControls } from 'three/addons/controls/PointerLockControls.js';
+import { CONFIG } from '../config.js';
+
+/**
+ * WalkManager - First-person walk mode through the garage
+ * WASD + mouse-look (pointer lock) on desktop, joystick + drag-look on touch.
+ * A separate camera at eye height is rendered instead of the orbit camera and
+ * kept inside the garage bounds and out of the vans' bounding boxes
+ */
+export class WalkManager {
+    constructor(cameraManager, vanManager, domElement, joystickElement) {
+        this.cameraManager = cameraManager;
+        this.vanManager = vanManager;
+        this.domElement = domElement;
+        this.joystickElement = joystickElement;
+        this.joystickKnob = joystickElement.querySelector('.walk-joystick-knob');
+
+        this.enabled = false;
+        this.moves = new Set(); // Held movements: 'forward', 'back', 'left', 'right', 'run'
+        this.joystick = null; // { pointerId, originX, originY, x, y } while the joystick is held
+        this.dragLook = null; // { pointerId, x, y } while dragging to look (touch / no pointer lock)
+        this.handoff = null; // Glide between orbit and walk poses (see updateHandoff())
+        this.garageBounds = null;
+        this.vanBoxes = new WeakMap(); // Van model -> { position, box }: its bounds where it stands now
+        this.lastUpdateTime = null;
+        this.autoRotateBeforeWalk = false;
+        this.pointerLockFailed = false; // Lock refused this walk; look by dragging instead
+        this.onChange = null; // Called with the enabled state when walk mode starts or ends
+
+        const orbitCamera = this.cameraManager.getOrbitCamera();
+        this.camera = new THREE.PerspectiveCamera(orbitCamera.fov, orbitCamera.aspect, orbitCamera.near, orbitCamera.far);
+        this.camera.rotation.order = 'YXZ'; // Yaw, then pitch
+
+        this.pointerLock = new PointerLockControls(this.camera, this.domElement);
+        this.pointerLock.pointerSpeed = CONFIG.walk.lookSpeed / 0.002; // PointerLockControls turns 0.002 rad per px
+        this.pointerLock.minPolarAngle = Math.PI / 2 - CONFIG.walk.maxPitch;
+        this.pointerLock.maxPolarAngle = Math.PI / 2 + CONFIG.walk.maxPitch;
+        this.pointerLock.addEventListener('unlock', () => {
+            // Esc releases the pointer lock; treat it as leaving walk mode
+            if (this.enabled) this.setEnabled(false);
+        });
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.domElement.ownerDocument.addEventListener('pointerlockerror', () => this.onPointerLockError());
+
+        // Drag to look when the pointer isn't locked (touch, or pointer lock refused)
+        this.domElement.addEventListener('pointerdown', (e) => {
+            if (!this.enabled || this.pointerLock.isLocked || this.dragLook) return;
+            this.dragLook = { pointerId: e.pointerId, x: e.clientX, y: e.clientY };
+        });
+        this.domElement.addEventListener('pointermove', (e) => {
+            if (!this.dragLook || e.pointerId !== this.dragLook.pointerId) return;
+
+            this.look(e.clientX - this.dragLook.x, e.clientY - this.dragLook.y);
+            this.dragLook.x = e.clientX;
+            this.dragLook.y = e.clientY;
+        });
+        const endDragLook = (e) => {
+            if (this.dragLook && e.pointerId === this.dragLook.pointerId) this.dragLook = null;
+        };
+        this.domElement.addEventListener('pointerup', endDragLook);
+        this.domElement.addEventListener('pointercancel', endDragLook);
+
+        // Touch joystick: knob offset from where the thumb landed = move direction
+        this.joystickElement.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            this.joystickElement.setPointerCapture(e.pointerId);
+            const rect = this.joystickElement.getBoundingClientRect();
+            this.joystick = {
+                pointerId: e.pointerId,
+                originX: rect.left + rect.width / 2,
+                originY: rect.top + rect.height / 2,
+                x: 0,
+                y: 0
+            };
+            this.moveJoystick(e);
+        });
+        this.joystickElement.addEventListener('pointermove', (e) => this.moveJoystick(e));
+        const endJoystick = (e) => {
+            if (!this.joystick || e.pointerId !== this.joystick.pointerId) return;
+            this.joystick = null;
+            this.joystickKnob.style.transform = '';
+        };
+        this.joystickElement.addEventListener('pointerup', endJoystick);
+        this.joystickElement.addEventListener('pointercancel', endJoystick);
+    }
+
+    moveJoystick(e) {
+        if (!this.joystick || e.pointerId !== this.joystick.pointerId) return;
+
+        const radius = CONFIG.walk.joystickRadius;
+        let dx = e.clientX - this.joystick.originX;
+        let dy = e.clientY - this.joystick.originY;
+        const length = Math.hypot(dx, dy);
+        if (length > radius) {
+            dx *= radius / length;
+            dy *= radius / length;
+        }
+
+        this.joystick.x = dx / radius;
+        this.joystick.y = dy / radius;
+        this.joystickKnob.style.transform = `translate(${dx}px, ${dy}px)`;
+    }
+
+    /**
+     * Start or stop a held movement (keyboard shortcuts, see WalkPanel)
+     * @param {string} move - 'forward', 'back', 'left', 'right' or 'run'
+     */
+    setMoving(move, moving) {
+        if (moving && this.enabled) {
+            this.moves.add(move);
+        } else {
+            this.moves.delete(move);
+        }
+    }
+
+    /**
+     * Turn the walk camera by a pointer movement in pixels
+     */
+    look(dx, dy) {
+        const euler = new THREE.Euler().setFromQuaternion(this.camera.quaternion, 'YXZ');
+        euler.y -= dx * CONFIG.walk.lookSpeed;
+        euler.x = THREE.MathUtils.clamp(euler.x - dy * CONFIG.walk.lookSpeed, -CONFIG.walk.maxPitch, CONFIG.walk.maxPitch);
+        this.camera.quaternion.setFromEuler(euler);
+    }
+
+    /**
+     * Start or end walk mode, gliding from / back to the orbit camera
+     * @param {boolean} enabled - Walk mode on/off
+     * @param {Object} options - { immediate: skip the glide (e.g. before an export) }
+     */
+    setEnabled(enabled, { immediate = false } = {}) {
+        if (enabled === this.enabled) return;
+        this.enabled = enabled;
+
+        const orbitCamera = this.cameraManager.getOrbitCamera();
+        const controls = this.cameraManager.getControls();
+        this.moves.clear();
+        this.dragLook = null;
+
+        if (enabled) {
+            this.garageBounds = this.vanManager.garageModel
+                ? new THREE.Box3().setFromObject(this.vanManager.garageModel)
+                : null;
+
+            // Walk camera starts on the orbit camera and glides down to eye height
+            this.camera.fov = orbitCamera.fov;
+            this.camera.aspect = orbitCamera.aspect;
+            this.camera.updateProjectionMatrix();
+            this.camera.position.copy(orbitCamera.position);
+            this.camera.quaternion.copy(orbitCamera.quaternion);
+
+            this.autoRotateBeforeWalk = controls.autoRotate;
+            controls.autoRotate = false;
+            this.cameraManager.setActiveCamera(this.camera);
+            this.startHandoff(this.getStartPose(), immediate, null);
+
+            this.pointerLockFailed = false;
+            if (this.usesPointerLock()) {
+                this.requestPointerLock();
+            }
+            this.joystickElement.style.display = this.usesJoystick() ? 'block' : 'none';
+        } else {
+            if (this.pointerLock.isLocked) {
+                this.pointerLock.unlock();
+            }
+            this.joystick = null;
+            this.joystickKnob.style.transform = '';
+            this.joystickElement.style.display = 'none';
+
+            // Glide back to wherever the orbit camera is, then hand the view back
+            this.startHandoff({ position: orbitCamera.position, quaternion: orbitCamera.quaternion }, immediate, () => {
+                this.cameraManager.setActiveCamera(null);
+                controls.autoRotate = this.autoRotateBeforeWalk;
+            });
+        }
+
+        console.log(`Walk mode ${enabled ? 'on' : 'off'}`);
+        if (this.onChange) {
+            this.onChange(enabled);
+        }
+    }
+
+    toggle() {
+        this.setEnabled(!this.enabled);
+    }
+
+    isEnabled() {
+        return this.enabled;
+    }
+
+    /**
+     * Mouse-look with pointer lock on devices with a fine pointer (unless the lock was refused)
+     */
+    usesPointerLock() {
+        return !this.pointerLockFailed && !this.usesJoystick();
+    }
+
+    /**
+     * Touch devices (and browsers without pointer lock) walk with the on-screen joystick
+     */
+    usesJoystick() {
+        return window.matchMedia('(pointer: coarse)').matches || !('requestPointerLock' in this.domElement);
+    }
+
+    /**
+     * Lock the pointer for mouse-look; PointerLockControls picks up the lock from
+     * pointerlockchange. Called directly because PointerLockControls.lock() drops the
+     * Promise newer browsers return, and a refused lock would go unhandled
+     */
+    requestPointerLock() {
+        const request = this.domElement.requestPointerLock();
+        if (request && request.catch) {
+            request.catch(() => this.onPointerLockError());
+        }
+    }
+
+    /**
+     * The browser refused the lock (no user gesture, or right after an Esc unlock):
+     * keep walking and look by dragging
+     */
+    onPointerLockError() {
+        if (!this.enabled || this.pointerLockFailed) return;
+
+        this.pointerLockFailed = true;
+        console.warn('Pointer lock refused, drag to look');
+        if (this.onChange) {
+            this.onChange(this.enabled);
+        }
+    }
+
+    /**
+     * Eye-height pose below the orbit camera, outside the vans and facing the van
+     */
+    getStartPose() {
+        const settings = CONFIG.walk;
+        const orbitCamera = this.cameraManager.getOrbitCamera();
+        const target = this.cameraManager.getControls().target;
+        const eyeY = settings.floorHeight + settings.eyeHeight;
+
+        const position = new THREE.Vector3(orbitCamera.position.x, eyeY, orbitCamera.position.z);
+        this.resolveCollisions(position);
+
+        const look = new THREE.Object3D();
+        look.position.copy(position);
+        look.lookAt(target.x, eyeY, target.z);
+        look.rotateY(Math.PI); // Object3D.lookAt points +Z at the target; cameras look down -Z
+
+        return { position, quaternion: look.quaternion };
+    }
+
+    startHandoff(pose, immediate, onComplete) {
+        this.handoff = {
+            startPosition: this.camera.position.clone(),
+            startQuaternion: this.camera.quaternion.clone(),
+            endPosition: pose.position.clone(),
+            endQuaternion: pose.quaternion.clone(),
+            startTime: performance.now(),
+            onComplete: onComplete
+        };
+        if (immediate) {
+            this.finishHandoff();
+        }
+    }
+
+    /**
+     * @returns {boolean} - True while gliding
+     */
+    updateHandoff() {
+        const handoff = this.handoff;
+        if (!handoff) return false;
+
+        const t = Math.min((performance.now() - handoff.startTime) / CONFIG.walk.handoffDuration, 1);
+        const eased = t * t * (3 - 2 * t); // Smoothstep
+
+        // Leaving: follow the orbit camera in case it is still moving (damping, framing)
+        if (!this.enabled) {
+            const orbitCamera = this.cameraManager.getOrbitCamera();
+            handoff.endPosition.copy(orbitCamera.position);
+            handoff.endQuaternion.copy(orbitCamera.quaternion);
+        }
+
+        this.camera.position.lerpVectors(handoff.startPosition, handoff.endPosition, eased);
+        this.camera.quaternion.slerpQuaternions(handoff.startQuaternion, handoff.endQuaternion, eased);
+
+        if (t === 1) {
+            this.finishHandoff();
+        }
+        return true;
+    }
+
+    finishHandoff() {
+        const handoff = this.handoff;
+        this.handoff = null;
+        this.camera.position.copy(handoff.endPosition);
+        this.camera.quaternion.copy(handoff.endQuaternion);
+        if (handoff.onComplete) {
+            handoff.onComplete();
+        }
+    }
+
+    /**
+     * Move with the keys / joystick and keep the viewer out of walls and vans
+     * @returns {boolean} - True if the walk camera moved (keep rendering)
+     */
+    update() {
+        const now = performance.now();
+        const delta = this.lastUpdateTime === null ? 0 : Math.min((now - this.lastUpdateTime) / 1000, 0.1);
+        this.lastUpdateTime = now;
+
+        if (this.updateHandoff()) return true;
+        if (!this.enabled) return false;
+
+        const settings = CONFIG.walk;
+        let forward = (this.moves.has('forward') ? 1 : 0) - (this.moves.has('back') ? 1 : 0);
+        let strafe = (this.moves.has('right') ? 1 : 0) - (this.moves.has('left') ? 1 : 0);
+        if (this.joystick) {
+            forward -= this.joystick.y;
+            strafe += this.joystick.x;
+        }
+
+        const length = Math.hypot(forward, strafe);
+        if (length === 0) return false; // Looking around wakes the render loop through pointer events
+        if (length > 1) {
+            forward /= length;
+            strafe /= length;
+        }
+
+        // Walk on the floor plane whatever the pitch
+        const heading = new THREE.Vector3();
+        this.camera.getWorldDirection(heading);
+        heading.y = 0;
+        heading.normalize();
+        const right = new THREE.Vector3().crossVectors(heading, this.camera.up).normalize();
+
+        const speed = settings.speed * (this.moves.has('run') ? settings.runMultiplier : 1) * delta;
+        this.camera.position
+            .addScaledVector(heading, forward * speed)
+            .addScaledVector(right, strafe * speed);
+        this.camera.position.y = settings.floorHeight + settings.eyeHeight;
+        this.resolveCollisions(this.camera.position);
+
+        return true;
+    }
+
+    /**
+     * Push a floor position back inside the garage and out of the vans (XZ only)
+     * @param {THREE.Vector3} position - Modified in place
+     */
+    resolveCollisions(position) {
+        const settings = CONFIG.walk;
+
+        // Vans: circle vs box, pushed out along the shallowest side so walking slides along them
+        this.vanManager.getVisibleVans().forEach(vanData => {
+            const box = this.getVanBox(vanData);
+            const minX = box.min.x - settings.radius;
+            const maxX = box.max.x + settings.radius;
+            const minZ = box.min.z - settings.radius;
+            const maxZ = box.max.z + settings.radius;
+            if (position.x <= minX || position.x >= maxX || position.z <= minZ || position.z >= maxZ) return;
+
+            const pushes = [
+                { axis: 'x', value: minX, depth: position.x - minX },
+                { axis: 'x', value: maxX, depth: maxX - position.x },
+                { axis: 'z', value: minZ, depth: position.z - minZ },
+                { axis: 'z', value: maxZ, depth: maxZ - position.z }
+            ];
+            const push = pushes.reduce((best, candidate) => candidate.depth < best.depth ? candidate : best);
+            position[push.axis] = push.value;
+        });
+
+        // Garage walls
+        if (this.garageBounds && !this.garageBounds.isEmpty()) {
+            const margin = settings.radius + settings.wallMargin;
+            position.x = THREE.MathUtils.clamp(position.x, this.garageBounds.min.x + margin, this.garageBounds.max.x - margin);
+            position.z = THREE.MathUtils.clamp(position.z, this.garageBounds.min.z + margin, this.garageBounds.max.z - margin);
+        }
+    }
+
+    /**
+     * World bounds of a van where it stands now: the bounds measured in the bay, moved
+     * with the van (drive-in, comparison offset); only recomputed after the van moved
+     */
+    getVanBox(vanData) {
+        const model = vanData.model;
+        let cached = this.vanBoxes.get(model);
+        if (!cached || !cached.position.equals(model.position)) {
+            const offset = model.position.clone().sub(vanData.boundsPosition);
+            cached = { position: model.position.clone(), box: vanData.bounds.clone().translate(offset) };
+            this.vanBoxes.set(model, cached);
+        }
+        return cached.box;
+    }
+
+    dispose() {
+        this.setEnabled(false, { immediate: true });
+        this.pointerLock.dispose();
+    }
+}
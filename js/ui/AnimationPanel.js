@@ -0,0 +1,105 @@
+/**
+ * AnimationPanel - Lists the current van's animation clips with
+ * play/pause, reverse and a scrub slider
+ */
+export class AnimationPanel {
+    constructor(animationManager) {
+        this.animationManager = animationManager;
+
+        this.elements = {
+            toggle: document.getElementById('animation-toggle'),
+            panel: document.getElementById('animation-panel')
+        };
+        this.rows = new Map(); // { play, slider } by clip name
+        this.scrubbing = null; // Clip whose slider is being dragged
+
+        this.animationManager.onChange = (clips) => this.populateClips(clips);
+        this.animationManager.onTick = (clips) => this.render(clips);
+        this.elements.toggle.addEventListener('click', () => this.togglePanel());
+        this.populateClips([]);
+    }
+
+    togglePanel() {
+        const isOpen = this.elements.panel.style.display !== 'none';
+        this.elements.panel.style.display = isOpen ? 'none' : 'block';
+        this.elements.toggle.classList.toggle('active', !isOpen);
+    }
+
+    /**
+     * Rebuild the clip rows (the toolbar button is hidden for vans without clips)
+     */
+    populateClips(clips) {
+        this.elements.panel.innerHTML = '';
+        this.rows.clear();
+
+        this.elements.toggle.style.display = clips.length > 0 ? '' : 'none';
+        if (clips.length === 0) {
+            this.elements.panel.style.display = 'none';
+            this.elements.toggle.classList.remove('active');
+            return;
+        }
+
+        clips.forEach(clip => {
+            const row = document.createElement('div');
+            row.className = 'animation-row';
+
+            const name = document.createElement('span');
+            name.className = 'animation-name';
+            name.textContent = clip.name;
+
+            const play = document.createElement('span');
+            play.className = 'tool-button';
+            play.addEventListener('click', () => {
+                const current = this.animationManager.getClips().find(c => c.name === clip.name);
+                if (current && current.playing) {
+                    this.animationManager.pause(clip.name);
+                } else {
+                    this.animationManager.play(clip.name);
+                }
+                this.render(this.animationManager.getClips());
+            });
+
+            const reverse = document.createElement('span');
+            reverse.className = 'tool-button';
+            reverse.textContent = 'REV';
+            reverse.title = 'Reverse';
+            reverse.addEventListener('click', () => {
+                this.animationManager.reverse(clip.name);
+                this.render(this.animationManager.getClips());
+            });
+
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = 0;
+            slider.max = clip.duration;
+            slider.step = 'any';
+            slider.addEventListener('input', () => {
+                this.scrubbing = clip.name;
+                this.animationManager.scrub(clip.name, parseFloat(slider.value));
+                this.render(this.animationManager.getClips());
+            });
+            slider.addEventListener('change', () => {
+                this.scrubbing = null;
+            });
+
+            row.append(name, play, reverse, slider);
+            this.elements.panel.appendChild(row);
+            this.rows.set(clip.name, { play, reverse, slider });
+        });
+
+        this.render(clips);
+    }
+
+    render(clips) {
+        clips.forEach(clip => {
+            const row = this.rows.get(clip.name);
+            if (!row) return;
+
+            row.play.textContent = clip.playing ? 'PAUSE' : 'PLAY';
+            row.reverse.classList.toggle('active', clip.reversed);
+            if (this.scrubbing !== clip.name) {
+                row.slider.value = clip.time;
+            }
+        });
+    }
+}
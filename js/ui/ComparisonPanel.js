@@ -0,0 +1,148 @@
+/**
+ * ComparisonPanel - Side-by-side comparison of two vans with a spec diff table
+ */
+export class ComparisonPanel {
+    constructor(vanManager, cameraManager, uiController) {
+        this.vanManager = vanManager;
+        this.cameraManager = cameraManager;
+        this.uiController = uiController;
+
+        this.elements = {
+            toggle: document.getElementById('compare-toggle'),
+            panel: document.getElementById('compare-panel'),
+            left: document.getElementById('compare-left'),
+            right: document.getElementById('compare-right'),
+            swap: document.getElementById('compare-swap'),
+            exit: document.getElementById('compare-exit'),
+            table: document.getElementById('compare-table')
+        };
+
+        // Rows of the diff table: label and value formatter
+        this.rows = [
+            ['Make', (van) => van.config.make || '-'],
+            ['Model', (van) => van.config.model || '-'],
+            ['Year', (van) => van.config.year || '-'],
+            ['Tags', (van) => van.config.tags.length > 0 ? van.config.tags.join(', ') : '-'],
+            ['Poly', (van) => van.info.polygonCount.toLocaleString()],
+            ['Vert', (van) => van.info.vertexCount.toLocaleString()],
+            ['Size', (van) => this.uiController.formatFileSize(van.info.fileSize)],
+            ['Dims', (van) => this.uiController.formatDimensions(van.info)]
+        ];
+
+        this.vanManager.onComparisonChange = (compared) => this.onComparisonChange(compared);
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.elements.toggle.addEventListener('click', () => {
+            if (this.vanManager.isComparing()) {
+                this.exit();
+            } else {
+                this.open();
+            }
+        });
+        this.elements.left.addEventListener('change', () => this.compareSelected());
+        this.elements.right.addEventListener('change', () => this.compareSelected());
+        this.elements.swap.addEventListener('click', () => this.swap());
+        this.elements.exit.addEventListener('click', () => this.exit());
+    }
+
+    /**
+     * Start comparing the current van with the next one
+     */
+    open() {
+        const vans = this.vanManager.getAvailableVans();
+        if (vans.length === 0) return;
+
+        const leftId = this.vanManager.currentVanId || vans[0].id;
+        const rightId = this.vanManager.getNeighbourIds(leftId, 1)[0] || leftId;
+
+        this.populateSelect(this.elements.left, vans, leftId);
+        this.populateSelect(this.elements.right, vans, rightId);
+        this.compare(leftId, rightId);
+    }
+
+    populateSelect(select, vans, selectedId) {
+        select.innerHTML = '';
+        vans.forEach(van => {
+            const option = document.createElement('option');
+            option.value = van.id;
+            option.textContent = van.name;
+            select.appendChild(option);
+        });
+        select.value = selectedId;
+    }
+
+    compareSelected() {
+        this.compare(this.elements.left.value, this.elements.right.value);
+    }
+
+    swap() {
+        const leftId = this.elements.left.value;
+        this.elements.left.value = this.elements.right.value;
+        this.elements.right.value = leftId;
+        this.compareSelected();
+    }
+
+    exit() {
+        this.vanManager.exitComparison();
+        this.uiController.syncWithCurrentVan();
+    }
+
+    async compare(leftId, rightId) {
+        try {
+            this.uiController.showSmallLoader();
+            const compared = await this.vanManager.compareVans(leftId, rightId);
+            if (compared) {
+                this.uiController.hideSmallLoader();
+                this.uiController.syncWithCurrentVan();
+            }
+        } catch (error) {
+            console.error('Error comparing vans:', error);
+            this.uiController.hideSmallLoader();
+            this.uiController.showError('Failed to load vans for comparison');
+        }
+    }
+
+    /**
+     * Show or hide the panel when VanManager enters or leaves comparison mode
+     * (selecting a single van from the list also leaves it)
+     * @param {Array|null} compared - [leftData, rightData], or null on exit
+     */
+    onComparisonChange(compared) {
+        if (!compared) {
+            // VanManager reframes the remaining van (onCurrentVanChange)
+            this.elements.panel.style.display = 'none';
+            this.elements.toggle.classList.remove('active');
+            return;
+        }
+
+        this.elements.panel.style.display = 'block';
+        this.elements.toggle.classList.add('active');
+        this.cameraManager.frameBox(this.vanManager.getComparisonBounds(), {
+            orientation: compared[0].model.quaternion
+        });
+        this.renderTable(compared);
+    }
+
+    /**
+     * Build the spec table, highlighting rows where the vans differ
+     */
+    renderTable([left, right]) {
+        this.elements.table.innerHTML = '';
+
+        this.rows.forEach(([label, format]) => {
+            const values = [format(left), format(right)];
+            const row = document.createElement('tr');
+            row.classList.toggle('diff', values[0] !== values[1]);
+
+            [label, ...values].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+
+            this.elements.table.appendChild(row);
+        });
+    }
+}
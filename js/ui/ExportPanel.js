@@ -0,0 +1,87 @@
+import { CONFIG } from '../config.js';
+
+/**
+ * ExportPanel - Screenshot and turntable export controls
+ */
+export class ExportPanel {
+    constructor(exportManager, uiController) {
+        this.exportManager = exportManager;
+        this.uiController = uiController;
+
+        this.elements = {
+            toggle: document.getElementById('export-toggle'),
+            panel: document.getElementById('export-panel'),
+            resolution: document.getElementById('export-resolution'),
+            background: document.getElementById('export-background'),
+            png: document.getElementById('export-png'),
+            webm: document.getElementById('export-webm'),
+            zip: document.getElementById('export-zip'),
+            status: document.getElementById('export-status')
+        };
+
+        this.populateResolutions();
+        this.setupEventListeners();
+    }
+
+    populateResolutions() {
+        Object.entries(CONFIG.export.resolutions).forEach(([name, size]) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = `${name} (${size.width}×${size.height})`;
+            this.elements.resolution.appendChild(option);
+        });
+        this.elements.resolution.value = CONFIG.export.defaultResolution;
+    }
+
+    setupEventListeners() {
+        this.elements.toggle.addEventListener('click', () => this.togglePanel());
+        this.elements.png.addEventListener('click', () => {
+            this.run('PNG', (options) => this.exportManager.exportScreenshot(options));
+        });
+        this.elements.webm.addEventListener('click', () => {
+            this.run('WebM', (options) => this.exportManager.exportTurntableVideo(options));
+        });
+        this.elements.zip.addEventListener('click', () => {
+            this.run('PNG sequence', (options) => this.exportManager.exportTurntableFrames(options));
+        });
+
+        this.exportManager.onProgress = (frame, totalFrames) => {
+            this.elements.status.textContent = `Frame ${frame}/${totalFrames}`;
+        };
+    }
+
+    togglePanel() {
+        const isOpen = this.elements.panel.style.display !== 'none';
+        this.elements.panel.style.display = isOpen ? 'none' : 'block';
+        this.elements.toggle.classList.toggle('active', !isOpen);
+    }
+
+    /**
+     * Options picked in the panel
+     */
+    getOptions() {
+        const size = CONFIG.export.resolutions[this.elements.resolution.value];
+        return {
+            width: size.width,
+            height: size.height,
+            transparent: this.elements.background.value === 'transparent'
+        };
+    }
+
+    async run(label, exportFn) {
+        if (this.exportManager.isCapturing) return;
+
+        this.elements.status.textContent = `Exporting ${label}...`;
+        this.uiController.showSmallLoader();
+        try {
+            await exportFn(this.getOptions());
+            this.elements.status.textContent = `${label} saved`;
+        } catch (error) {
+            console.error(`Export failed (${label}):`, error);
+            this.elements.status.textContent = `${label} failed`;
+            this.uiController.showError(`Export failed: ${error.message}`);
+        } finally {
+            this.uiController.hideSmallLoader();
+        }
+    }
+}
@@ -0,0 +1,63 @@
+/**
+ * HotspotPanel - Hotspot detail card, toolbar toggle and shortcut
+ */
+export class HotspotPanel {
+    constructor(hotspotManager, keymap) {
+        this.hotspotManager = hotspotManager;
+        this.keymap = keymap;
+
+        this.elements = {
+            toggle: document.getElementById('hotspot-toggle'),
+            card: document.getElementById('hotspot-card'),
+            title: document.getElementById('hotspot-card-title'),
+            description: document.getElementById('hotspot-card-description'),
+            close: document.getElementById('hotspot-card-close')
+        };
+
+        this.hotspotManager.onSelect = (hotspot) => this.showCard(hotspot);
+        this.hotspotManager.onClear = () => this.hideCard();
+        this.setupEventListeners();
+        this.render();
+    }
+
+    setupEventListeners() {
+        this.elements.toggle.addEventListener('click', () => this.toggle());
+        this.elements.close.addEventListener('click', () => this.hideCard());
+
+        // Keyboard shortcuts
+        this.keymap.register('hotspots.toggle', {
+            label: 'Show hotspots', group: 'Hotspots', keys: ['h'],
+            handler: () => this.toggle()
+        });
+        this.keymap.register('hotspots.close', {
+            label: 'Close hotspot card', group: 'Hotspots', keys: ['Escape'], priority: 20,
+            when: () => this.elements.card.style.display === 'block',
+            handler: () => this.hideCard()
+        });
+    }
+
+    toggle() {
+        this.hotspotManager.toggle();
+        if (!this.hotspotManager.isVisible()) {
+            this.hideCard();
+        }
+        this.render();
+    }
+
+    /**
+     * Show title and description of a clicked hotspot
+     */
+    showCard(hotspot) {
+        this.elements.title.textContent = hotspot.title;
+        this.elements.description.textContent = hotspot.description;
+        this.elements.card.style.display = 'block';
+    }
+
+    hideCard() {
+        this.elements.card.style.display = 'none';
+    }
+
+    render() {
+        this.elements.toggle.classList.toggle('active', this.hotspotManager.isVisible());
+    }
+}
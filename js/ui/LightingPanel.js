@@ -0,0 +1,65 @@
+import { CONFIG } from '../config.js';
+
+/**
+ * LightingPanel - Lighting preset picker, toolbar toggle and shortcut
+ */
+export class LightingPanel {
+    constructor(lightingManager, keymap) {
+        this.lightingManager = lightingManager;
+        this.keymap = keymap;
+
+        this.elements = {
+            toggle: document.getElementById('lighting-toggle'),
+            panel: document.getElementById('lighting-panel')
+        };
+        this.buttons = new Map(); // Preset buttons by preset name
+
+        this.populatePresets();
+        this.lightingManager.onPresetChange = () => this.render();
+        this.setupEventListeners();
+        this.render();
+    }
+
+    populatePresets() {
+        Object.entries(CONFIG.lighting.presets).forEach(([name, preset]) => {
+            const button = document.createElement('span');
+            button.className = 'tool-button';
+            button.textContent = preset.label.toUpperCase();
+            button.addEventListener('click', () => this.lightingManager.setPreset(name));
+            this.elements.panel.appendChild(button);
+            this.buttons.set(name, button);
+        });
+    }
+
+    setupEventListeners() {
+        this.elements.toggle.addEventListener('click', () => this.togglePanel());
+
+        // Keyboard shortcuts
+        this.keymap.register('lighting.cycle', {
+            label: 'Next lighting preset', group: 'Lighting', keys: ['l'],
+            handler: () => this.cyclePreset()
+        });
+    }
+
+    togglePanel() {
+        const isOpen = this.elements.panel.style.display !== 'none';
+        this.elements.panel.style.display = isOpen ? 'none' : 'flex';
+        this.elements.toggle.classList.toggle('active', !isOpen);
+    }
+
+    /**
+     * Switch to the next preset in CONFIG.lighting.presets order
+     */
+    cyclePreset() {
+        const names = Object.keys(CONFIG.lighting.presets);
+        const index = names.indexOf(this.lightingManager.getPresetName());
+        this.lightingManager.setPreset(names[(index + 1) % names.length]);
+    }
+
+    render() {
+        const current = this.lightingManager.getPresetName();
+        this.buttons.forEach((button, name) => {
+            button.classList.toggle('active', name === current);
+        });
+    }
+}
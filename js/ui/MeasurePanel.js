@@ -0,0 +1,62 @@
+/**
+ * MeasurePanel - Toolbar buttons and shortcuts for the measurement tool
+ */
+export class MeasurePanel {
+    constructor(measurementManager, keymap) {
+        this.measurementManager = measurementManager;
+        this.keymap = keymap;
+
+        this.elements = {
+            toggle: document.getElementById('measure-toggle'),
+            units: document.getElementById('measure-units'),
+            snap: document.getElementById('measure-snap'),
+            undo: document.getElementById('measure-undo'),
+            clear: document.getElementById('measure-clear'),
+            tools: document.querySelectorAll('.measure-only')
+        };
+
+        this.measurementManager.onChange = (state) => this.render(state);
+        this.setupEventListeners();
+        this.render(this.measurementManager.getState());
+    }
+
+    setupEventListeners() {
+        this.elements.toggle.addEventListener('click', () => this.measurementManager.toggle());
+        this.elements.units.addEventListener('click', () => this.measurementManager.toggleUnits());
+        this.elements.snap.addEventListener('click', () => {
+            this.measurementManager.setSnapToVertices(!this.measurementManager.snapToVertices);
+        });
+        this.elements.undo.addEventListener('click', () => this.measurementManager.undo());
+        this.elements.clear.addEventListener('click', () => this.measurementManager.clear());
+
+        // Keyboard shortcuts
+        const isEnabled = () => this.measurementManager.isEnabled();
+        this.keymap.register('measure.toggle', {
+            label: 'Measure tool', group: 'Measure', keys: ['m'],
+            handler: () => this.measurementManager.toggle()
+        });
+        this.keymap.register('measure.undo', {
+            label: 'Undo last point', group: 'Measure', keys: ['Backspace'], repeat: true, when: isEnabled,
+            handler: () => this.measurementManager.undo()
+        });
+        this.keymap.register('measure.exit', {
+            label: 'Stop measuring', group: 'Measure', keys: ['Escape'], when: isEnabled,
+            handler: () => this.measurementManager.setEnabled(false)
+        });
+    }
+
+    /**
+     * Update button labels and visibility from the tool state
+     */
+    render(state) {
+        this.elements.toggle.classList.toggle('active', state.enabled);
+        this.elements.tools.forEach(element => {
+            element.style.display = state.enabled ? '' : 'none';
+        });
+
+        this.elements.units.textContent = state.units === 'metric' ? 'M' : 'FT';
+        this.elements.snap.classList.toggle('active', state.snapToVertices);
+        this.elements.undo.classList.toggle('disabled', state.count === 0 && !state.pending);
+        this.elements.clear.classList.toggle('disabled', state.count === 0 && !state.pending);
+    }
+}
@@ -0,0 +1,130 @@
+import { CONFIG } from '../config.js';
+
+/**
+ * PaintPanel - Paint palette, custom colour, finishes and material variants
+ * for the current van (toolbar group shown while PAINT is active)
+ */
+export class PaintPanel {
+    constructor(materialManager, vanManager, uiController) {
+        this.materialManager = materialManager;
+        this.vanManager = vanManager;
+        this.uiController = uiController;
+        this.open = false;
+
+        this.elements = {
+            toggle: document.getElementById('paint-toggle'),
+            swatches: document.getElementById('paint-swatches'),
+            custom: document.getElementById('paint-custom'),
+            finishes: document.getElementById('paint-finishes'),
+            variant: document.getElementById('paint-variant'),
+            reset: document.getElementById('paint-reset'),
+            tools: document.querySelectorAll('.paint-only')
+        };
+        this.swatches = new Map(); // Swatch element by colour
+        this.finishButtons = new Map(); // Button by finish name
+
+        this.populateControls();
+        this.setupEventListeners();
+        this.render();
+    }
+
+    populateControls() {
+        CONFIG.paint.palette.forEach(({ name, color }) => {
+            const swatch = document.createElement('span');
+            swatch.className = 'paint-swatch';
+            swatch.style.background = color;
+            swatch.title = name;
+            swatch.addEventListener('click', () => this.configure({ color: color }));
+            this.elements.swatches.appendChild(swatch);
+            this.swatches.set(color.toLowerCase(), swatch);
+        });
+
+        Object.entries(CONFIG.paint.finishes).forEach(([name, finish]) => {
+            const button = document.createElement('span');
+            button.className = 'tool-button';
+            button.textContent = finish.label.toUpperCase();
+            button.addEventListener('click', () => {
+                const current = this.getConfiguration().finish;
+                this.configure({ finish: current === name ? null : name });
+            });
+            this.elements.finishes.appendChild(button);
+            this.finishButtons.set(name, button);
+        });
+    }
+
+    setupEventListeners() {
+        this.elements.toggle.addEventListener('click', () => {
+            this.open = !this.open;
+            this.render();
+        });
+
+        // Live preview while dragging, one history-free URL update per change
+        this.elements.custom.addEventListener('input', () => {
+            this.configure({ color: this.elements.custom.value });
+        });
+        this.elements.variant.addEventListener('change', () => {
+            this.configure({ variant: this.elements.variant.value || null });
+        });
+        this.elements.reset.addEventListener('click', () => {
+            this.configure({ color: null, finish: null, variant: null });
+        });
+    }
+
+    getConfiguration() {
+        const vanData = this.vanManager.getCurrentVanInfo();
+        return vanData
+            ? this.materialManager.getConfiguration(vanData.config.id)
+            : { color: null, finish: null, variant: null };
+    }
+
+    async configure(changes) {
+        const vanData = this.vanManager.getCurrentVanInfo();
+        if (!vanData) return;
+
+        await this.materialManager.setConfiguration(vanData.config.id, changes);
+        this.uiController.replaceHistory();
+        this.render();
+    }
+
+    /**
+     * Show the current van's options and configuration (call when the van on screen changes)
+     */
+    render() {
+        const vanData = this.vanManager.getCurrentVanInfo();
+        const options = vanData
+            ? this.materialManager.getOptions(vanData)
+            : { repaintable: false, variants: [] };
+        const configuration = this.getConfiguration();
+
+        this.elements.toggle.classList.toggle('active', this.open);
+        this.elements.toggle.classList.toggle('disabled', !options.repaintable && options.variants.length === 0);
+        this.elements.tools.forEach(element => {
+            element.style.display = this.open ? '' : 'none';
+        });
+
+        // Paint controls only for vans with repaintable materials
+        [this.elements.swatches, this.elements.custom, this.elements.finishes].forEach(element => {
+            element.classList.toggle('disabled', !options.repaintable);
+        });
+
+        this.swatches.forEach((swatch, color) => {
+            swatch.classList.toggle('active', configuration.color === color);
+        });
+        if (configuration.color) {
+            this.elements.custom.value = configuration.color;
+        }
+        this.finishButtons.forEach((button, name) => {
+            button.classList.toggle('active', configuration.finish === name);
+        });
+
+        this.elements.variant.innerHTML = '';
+        this.elements.variant.style.display = this.open && options.variants.length > 0 ? '' : 'none';
+        ['', ...options.variants].forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name ? name.toUpperCase() : 'AS SCANNED';
+            this.elements.variant.appendChild(option);
+        });
+        this.elements.variant.value = configuration.variant || '';
+    }
+}
@@ -0,0 +1,36 @@
+import { CONFIG } from '../config.js';
+
+/**
+ * QualityPanel - Toolbar button cycling AUTO and the quality tiers
+ */
+export class QualityPanel {
+    constructor(qualityManager) {
+        this.qualityManager = qualityManager;
+
+        this.elements = {
+            toggle: document.getElementById('quality-toggle')
+        };
+
+        this.qualityManager.onChange = () => this.render();
+        this.elements.toggle.addEventListener('click', () => this.cycleMode());
+        this.render();
+    }
+
+    /**
+     * AUTO -> lowest tier -> ... -> highest tier -> AUTO
+     */
+    cycleMode() {
+        const modes = ['auto', ...CONFIG.performance.quality.tiers.map(tier => tier.name)];
+        const index = modes.indexOf(this.qualityManager.getMode());
+        this.qualityManager.setMode(modes[(index + 1) % modes.length]);
+    }
+
+    render() {
+        const mode = this.qualityManager.getMode();
+        const tierName = this.qualityManager.getTier().name.toUpperCase();
+        this.elements.toggle.textContent = mode === 'auto' ? `AUTO (${tierName})` : tierName;
+        this.elements.toggle.title = mode === 'auto'
+            ? 'Quality adapts to frame rate (click to pick a tier)'
+            : 'Quality fixed (click to cycle)';
+    }
+}
@@ -0,0 +1,125 @@
+import { Keymap } from '../utils/Keymap.js';
+
+/**
+ * ShortcutPanel - Help overlay listing the keyboard shortcuts (toggled with ?)
+ * Click a key to rebind it; rebound keys are saved on this device
+ */
+export class ShortcutPanel {
+    constructor(keymap) {
+        this.keymap = keymap;
+
+        this.elements = {
+            toggle: document.getElementById('shortcut-toggle'),
+            panel: document.getElementById('shortcut-panel'),
+            list: document.getElementById('shortcut-list'),
+            reset: document.getElementById('shortcut-reset')
+        };
+        this.rebinding = null; // Action id waiting for its new key
+
+        this.keymap.onChange = () => this.render();
+        this.setupEventListeners();
+        this.render();
+    }
+
+    setupEventListeners() {
+        this.elements.toggle.addEventListener('click', () => this.toggle());
+        this.elements.reset.addEventListener('click', () => this.keymap.resetAll());
+
+        // Click outside the list closes the overlay
+        this.elements.panel.addEventListener('click', (e) => {
+            if (e.target === this.elements.panel) this.setOpen(false);
+        });
+
+        this.keymap.register('help.toggle', {
+            label: 'Keyboard shortcuts', group: 'General', keys: ['?'],
+            handler: () => this.toggle()
+        });
+        this.keymap.register('help.close', {
+            label: 'Close shortcuts', group: 'General', keys: ['Escape'], priority: 30, // Topmost
+            when: () => this.isOpen(),
+            handler: () => this.setOpen(false)
+        });
+    }
+
+    isOpen() {
+        return this.elements.panel.style.display !== 'none';
+    }
+
+    toggle() {
+        this.setOpen(!this.isOpen());
+    }
+
+    setOpen(open) {
+        if (!open) {
+            this.cancelRebind();
+        }
+        this.elements.panel.style.display = open ? 'flex' : 'none';
+        this.elements.toggle.classList.toggle('active', open);
+        this.render();
+    }
+
+    /**
+     * Wait for the next key press and bind it to the action (Escape cancels)
+     */
+    startRebind(actionId) {
+        this.rebinding = actionId;
+        this.keymap.capture((key) => {
+            this.rebinding = null;
+            if (key) {
+                this.keymap.setKeys(actionId, [key]);
+            } else {
+                this.render();
+            }
+        });
+        this.render();
+    }
+
+    cancelRebind() {
+        if (this.rebinding) {
+            this.rebinding = null;
+            this.keymap.capture(null);
+        }
+    }
+
+    render() {
+        if (!this.isOpen()) return;
+
+        this.elements.list.innerHTML = '';
+        this.keymap.getGroups().forEach(({ group, actions }) => {
+            const heading = document.createElement('h4');
+            heading.textContent = group.toUpperCase();
+            this.elements.list.appendChild(heading);
+
+            actions.forEach(action => {
+                const row = document.createElement('div');
+                row.className = 'shortcut-row';
+                row.classList.toggle('inactive', !action.active);
+
+                const label = document.createElement('span');
+                label.textContent = action.label;
+                row.appendChild(label);
+
+                const key = document.createElement('span');
+                key.className = 'tool-button shortcut-key';
+                key.classList.toggle('active', action.id === this.rebinding);
+                key.textContent = action.id === this.rebinding
+                    ? 'PRESS A KEY'
+                    : action.keys.map(Keymap.formatKey).join(' / ') || '-';
+                key.title = 'Click to change';
+                key.addEventListener('click', () => this.startRebind(action.id));
+                row.appendChild(key);
+
+                if (action.overridden) {
+                    const reset = document.createElement('span');
+                    reset.className = 'tool-button';
+                    reset.textContent = 'X';
+                    reset.title = 'Restore the default key';
+                    reset.addEventListener('click', () => this.keymap.resetKeys(action.id));
+                    row.appendChild(reset);
+                }
+
+                this.elements.list.appendChild(row);
+            });
+        });
+    }
+}
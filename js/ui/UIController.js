@@ -1,16 +1,26 @@
+import { CONFIG } from '../config.js';
+import { VanFilter } from './VanFilter.js';
+
 /**
  * UIController - Manages all UI interactions and updates
  */
 export class UIController {
-    constructor(vanManager, cameraManager) {
+    constructor(vanManager, cameraManager, historyState, keymap, thumbnailManager = null, materialManager = null) {
         this.vanManager = vanManager;
         this.cameraManager = cameraManager;
+        this.historyState = historyState;
+        this.keymap = keymap;
+        this.thumbnailManager = thumbnailManager;
+        this.materialManager = materialManager;
         
         this.elements = {
             loadingScreen: document.getElementById('loading-screen'),
             loadingText: document.getElementById('loading-text'),
             smallLoader: document.getElementById('small-loader'),
             vanList: document.getElementById('van-list'),
+            vanSearch: document.getElementById('van-search'),
+            vanSort: document.getElementById('van-sort'),
+            vanFilters: document.getElementById('van-filters'),
             modelInfo: document.getElementById('model-info'),
             vanName: document.getElementById('van-name'),
             vanDetails: document.getElementById('van-details'),
@@ -23,80 +33,284 @@ export class UIController {
         this.fps = 0;
         this.fpsUpdateInterval = 100; // Update FPS twice per second (500ms)
         
+        this.selectionId = 0; // Incremented by every van selection
+        this.selectedVanId = null; // Latest selection (may still be loading)
+        this.vanFilter = new VanFilter();
+        this.gridColumns = 3; // Matches .van-grid
+        
         this.init();
     }
 
     init() {
         // Don't populate truck list here - it will be called after detection
         this.setupEventListeners();
+
+        if (this.thumbnailManager) {
+            this.thumbnailManager.onThumbnail = (vanId, url) => this.updateThumbnail(vanId, url);
+        }
+    }
+
+    /**
+     * Vans passing the selector's search and filter chips, in the selected sort order
+     */
+    getVisibleVans() {
+        return this.vanFilter.apply(
+            this.vanManager.getAvailableVans(),
+            (vanId) => this.vanManager.vans.has(vanId) ? this.vanManager.vans.get(vanId).info : null
+        );
     }
 
     /**
      * Populate the van selector with available vans
      */
     populateVanList() {
-        const vans = this.vanManager.getAvailableVans();
+        const vans = this.getVisibleVans();
         this.elements.vanList.innerHTML = '';
 
+        if (vans.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'van-empty';
+            empty.textContent = 'No matches';
+            this.elements.vanList.appendChild(empty);
+            return;
+        }
+
         vans.forEach(van => {
             const vanItem = document.createElement('div');
             vanItem.className = 'van-item';
             vanItem.dataset.vanId = van.id;
+            vanItem.tabIndex = 0;
             
             // Extract just the number from van name (e.g., "Van 001" -> "001")
             const vanNumber = van.name.replace(/Van\s*/i, '');
             
-            // Simple text list with arrow indicator for active van
-            vanItem.innerHTML = `
-                <span class="van-arrow">&gt;</span>
-                <div class="van-name">${vanNumber}</div>
-            `;
-            
-            /* Thumbnail version for future use:
+            // Thumbnail grid with arrow indicator for active van
             vanItem.innerHTML = `
-                <div class="van-thumbnail">
-                    <img src="${van.thumbnail || 'assets/placeholder.jpg'}" 
-                         alt="${van.name}"
-                         onerror="this.src='assets/placeholder.jpg'">
-                </div>
-                <div class="van-name">${van.name}</div>
+                <div class="van-thumbnail"><img alt=""></div>
+                <div class="van-name"><span class="van-arrow">&gt;</span>${vanNumber}</div>
             `;
-            */
+            this.loadThumbnail(vanItem.querySelector('img'), van);
 
             vanItem.addEventListener('click', () => this.onVanSelect(van.id));
+            vanItem.addEventListener('mouseenter', () => this.vanManager.prefetchVan(van.id));
             this.elements.vanList.appendChild(vanItem);
         });
+
+        this.setActiveVanItem(this.selectedVanId);
+    }
+
+    /**
+     * Build the sort options and filter chips from the catalog
+     * Called after van detection, alongside populateVanList
+     */
+    populateVanFilters() {
+        if (!this.elements.vanSort || !this.elements.vanFilters) return;
+
+        this.elements.vanSort.innerHTML = '';
+        Object.entries(VanFilter.getSortOptions(() => null)).forEach(([value, option]) => {
+            const optionElement = document.createElement('option');
+            optionElement.value = value;
+            optionElement.textContent = option.label;
+            this.elements.vanSort.appendChild(optionElement);
+        });
+        this.elements.vanSort.value = this.vanFilter.sort;
+
+        this.elements.vanFilters.innerHTML = '';
+        const chipValues = VanFilter.getChipValues(this.vanManager.getAvailableVans());
+        Object.entries(chipValues).forEach(([group, values]) => {
+            values.forEach(value => {
+                const chip = document.createElement('span');
+                chip.className = 'filter-chip';
+                chip.textContent = value;
+                chip.title = group;
+                chip.classList.toggle('active', this.vanFilter.hasChip(group, value));
+                chip.addEventListener('click', () => {
+                    this.vanFilter.toggleChip(group, value);
+                    chip.classList.toggle('active', this.vanFilter.hasChip(group, value));
+                    this.populateVanList();
+                });
+                this.elements.vanFilters.appendChild(chip);
+            });
+        });
+    }
+
+    /**
+     * Move keyboard focus around the van grid
+     * @param {HTMLElement} item - Focused van item
+     * @param {number} offset - Item offset (±1 for left/right, ±gridColumns for up/down)
+     */
+    focusVanItem(item, offset) {
+        const items = Array.from(this.elements.vanList.querySelectorAll('.van-item'));
+        const index = items.indexOf(item) + offset;
+
+        if (index < 0 && offset < 0 && this.elements.vanSearch) {
+            this.elements.vanSearch.focus();
+        } else if (items[Math.min(index, items.length - 1)]) {
+            items[Math.min(index, items.length - 1)].focus();
+        }
+    }
+
+    /**
+     * Show the best available thumbnail: generated (IndexedDB), then the
+     * pre-generated JPEG from the catalog, else an empty frame
+     */
+    async loadThumbnail(img, van) {
+        img.alt = van.name;
+        img.addEventListener('error', () => img.classList.add('missing'));
+
+        const generatedUrl = this.thumbnailManager
+            ? await this.thumbnailManager.getThumbnailUrl(van)
+            : null;
+        img.src = generatedUrl || CONFIG.models.vans.basePath + van.thumbnail;
+    }
+
+    /**
+     * Swap in a freshly generated thumbnail
+     */
+    updateThumbnail(vanId, url) {
+        const img = this.elements.vanList.querySelector(`[data-van-id="${vanId}"] img`);
+        if (img) {
+            img.classList.remove('missing');
+            img.src = url;
+        }
     }
 
     /**
      * Handle van selection
+     * The latest selection always wins: results of superseded selections are ignored
+     * @param {string} vanId - ID of the selected van
+     * @param {Object} options - { updateHistory: add a browser history entry once loaded }
      */
-    async onVanSelect(vanId) {
+    async onVanSelect(vanId, { updateHistory = true } = {}) {
+        const selectionId = ++this.selectionId;
+        this.selectedVanId = vanId;
+
+        // Reflect the selection immediately, even before the van is loaded
+        this.setActiveVanItem(vanId);
+
         try {
             // Show small loader, hide current van
             this.showSmallLoader();
             
             const vanData = await this.vanManager.loadVan(vanId);
-            
-            // Update active state in UI
-            document.querySelectorAll('.van-item').forEach(item => {
-                item.classList.remove('active');
-                if (item.dataset.vanId === vanId) {
-                    item.classList.add('active');
-                }
-            });
+            if (selectionId !== this.selectionId || !vanData) {
+                return; // A newer selection is in progress
+            }
 
             // Update model info
             this.updateModelInfo(vanData);
             
             this.hideSmallLoader();
+
+            if (updateHistory) {
+                this.pushHistory();
+            }
         } catch (error) {
+            if (selectionId !== this.selectionId) {
+                console.warn(`Ignoring error from superseded load of ${vanId}:`, error);
+                return;
+            }
+
             console.error('Error loading van:', error);
-            this.showError('Failed to load van');
             this.hideSmallLoader();
+
+            // Fall back to the van that is still on screen
+            const currentInfo = this.vanManager.getCurrentVanInfo();
+            this.selectedVanId = currentInfo ? currentInfo.config.id : null;
+            this.setActiveVanItem(this.selectedVanId);
+
+            this.showError('Failed to load van');
+        }
+    }
+
+    /**
+     * Move the camera to a named view, or reset it when no view is given
+     * @param {string|null} viewName - Name from CONFIG.camera.views
+     * @param {Object} options - { updateHistory: add a browser history entry }
+     */
+    setCameraView(viewName, { updateHistory = true } = {}) {
+        if (viewName) {
+            if (!this.cameraManager.setView(viewName)) return;
+        } else {
+            this.cameraManager.resetCamera();
+        }
+
+        if (updateHistory) {
+            this.pushHistory();
+        }
+    }
+
+    /**
+     * Apply a van/view/paint state from the URL
+     * Unknown vans fall back to the current selection (or the first van)
+     * @param {Object} state - { van, view, paint, variant } from HistoryState.read()
+     * @returns {Promise<Object>} - The state actually shown
+     */
+    async restoreState(state) {
+        const vans = this.vanManager.getAvailableVans();
+        let vanId = state.van;
+
+        if (!vans.some(van => van.id === vanId)) {
+            if (vanId) {
+                console.warn(`Van ${vanId} from URL not found, keeping the current van`);
+            }
+            vanId = this.selectedVanId || (vans.length > 0 ? vans[0].id : null);
+        }
+
+        if (vanId && vanId !== this.selectedVanId) {
+            await this.onVanSelect(vanId, { updateHistory: false });
+        }
+
+        if (state.view !== this.cameraManager.getCurrentView()) {
+            this.setCameraView(state.view, { updateHistory: false });
+        }
+
+        if (this.materialManager && this.selectedVanId) {
+            await this.materialManager.setConfiguration(
+                this.selectedVanId,
+                this.materialManager.parseShareState(state)
+            );
+        }
+
+        return this.getHistoryState();
+    }
+
+    getHistoryState() {
+        const paintState = this.materialManager && this.selectedVanId
+            ? this.materialManager.toShareState(this.selectedVanId)
+            : { paint: null, variant: null };
+
+        return {
+            van: this.selectedVanId,
+            view: this.cameraManager.getCurrentView(),
+            ...paintState
+        };
+    }
+
+    pushHistory() {
+        if (this.historyState) {
+            this.historyState.push(this.getHistoryState());
         }
     }
 
+    /**
+     * Update the URL without adding a history entry (e.g. while picking a colour)
+     */
+    replaceHistory() {
+        if (this.historyState) {
+            this.historyState.replace(this.getHistoryState());
+        }
+    }
+
+    /**
+     * Mark a van as active in the selector
+     */
+    setActiveVanItem(vanId) {
+        this.elements.vanList.querySelectorAll('.van-item').forEach(item => {
+            item.classList.toggle('active', item.dataset.vanId === vanId);
+        });
+    }
+
     /**
      * Update model information panel
      */
@@ -108,16 +322,43 @@ export class UIController {
         }
 
         // Display file size in first line
-        const fileSizeMB = vanData.info.fileSize ? (vanData.info.fileSize / (1024 * 1024)).toFixed(2) : '0.00';
-        this.elements.vanName.textContent = `Size: ${fileSizeMB} MB`;
+        this.elements.vanName.textContent = `Size: ${this.formatFileSize(vanData.info.fileSize)}`;
         
         this.elements.vanDetails.innerHTML = `
             Poly: ${vanData.info.polygonCount.toLocaleString()}<br>
             Vert: ${vanData.info.vertexCount.toLocaleString()}<br>
-            Dims: ${vanData.info.boundingBox.size.x} × ${vanData.info.boundingBox.size.y} × ${vanData.info.boundingBox.size.z} M
+            Dims: ${this.formatDimensions(vanData.info)}
         `;
     }
 
+    /**
+     * Format a file size in bytes as megabytes (e.g. "12.34 MB")
+     */
+    formatFileSize(bytes) {
+        const fileSizeMB = bytes ? (bytes / (1024 * 1024)).toFixed(2) : '0.00';
+        return `${fileSizeMB} MB`;
+    }
+
+    /**
+     * Format bounding box dimensions from getModelInfo() (e.g. "2.10 × 2.60 × 5.90 M")
+     */
+    formatDimensions(info) {
+        const size = info.boundingBox.size;
+        return `${size.x} × ${size.y} × ${size.z} M`;
+    }
+
+    /**
+     * Update selection, info panel and URL to the van VanManager is showing
+     * (used when a van changes outside onVanSelect, e.g. leaving comparison mode)
+     */
+    syncWithCurrentVan() {
+        const vanData = this.vanManager.getCurrentVanInfo();
+        this.selectedVanId = vanData ? vanData.config.id : null;
+        this.setActiveVanItem(this.selectedVanId);
+        this.updateModelInfo(vanData);
+        this.pushHistory();
+    }
+
     /**
      * Setup event listeners
      */
@@ -141,42 +382,108 @@ export class UIController {
             nextArrow.addEventListener('click', () => this.switchToNextVan());
         }
 
-        // Keyboard shortcuts
-        window.addEventListener('keydown', (e) => {
-            switch(e.key) {
-                case 'r':
-                case 'R':
-                    this.cameraManager.resetCamera();
-                    break;
-                case 'ArrowLeft':
-                    this.switchToPreviousVan();
-                    break;
-                case 'ArrowRight':
-                    this.switchToNextVan();
-                    break;
-                case 'g':
-                case 'G':
-                    // Toggle grid (future feature)
-                    break;
+        // Search, sort and keyboard navigation in the van selector
+        if (this.elements.vanSearch) {
+            this.elements.vanSearch.addEventListener('input', () => {
+                this.vanFilter.setQuery(this.elements.vanSearch.value);
+                this.populateVanList();
+            });
+            this.elements.vanSearch.addEventListener('keydown', (e) => {
+                if (e.key === 'ArrowDown') {
+                    e.preventDefault();
+                    this.focusVanItem(null, 1);
+                } else if (e.key === 'Enter') {
+                    const first = this.elements.vanList.querySelector('.van-item');
+                    if (first) this.onVanSelect(first.dataset.vanId);
+                } else if (e.key === 'Escape') {
+                    this.elements.vanSearch.value = '';
+                    this.vanFilter.setQuery('');
+                    this.populateVanList();
+                    this.elements.vanSearch.blur();
+                }
+            });
+        }
+
+        if (this.elements.vanSort) {
+            this.elements.vanSort.addEventListener('change', () => {
+                this.vanFilter.setSort(this.elements.vanSort.value);
+                this.populateVanList();
+            });
+        }
+
+        this.elements.vanList.addEventListener('keydown', (e) => {
+            const item = e.target.closest('.van-item');
+            if (!item) return;
+
+            const offsets = {
+                ArrowLeft: -1,
+                ArrowRight: 1,
+                ArrowUp: -this.gridColumns,
+                ArrowDown: this.gridColumns
+            };
+
+            if (e.key in offsets) {
+                e.preventDefault();
+                this.focusVanItem(item, offsets[e.key]);
+            } else if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.onVanSelect(item.dataset.vanId);
             }
         });
+
+        // Browser back/forward restores van and view
+        if (this.historyState) {
+            this.historyState.onChange(async (state) => {
+                const restored = await this.restoreState(state);
+                this.historyState.replace(restored);
+            });
+        }
+
+        // Keyboard shortcuts (the arrows move the focus instead while navigating the van grid)
+        const outsideVanList = (e) => !e || !e.target.closest || !e.target.closest('#van-list');
+        this.keymap.register('camera.reset', {
+            label: 'Reset camera', group: 'Camera', keys: ['r'],
+            handler: () => this.setCameraView(null)
+        });
+        this.keymap.register('vans.previous', {
+            label: 'Previous van', group: 'Vans', keys: ['ArrowLeft'], when: outsideVanList,
+            handler: () => this.switchToPreviousVan()
+        });
+        this.keymap.register('vans.next', {
+            label: 'Next van', group: 'Vans', keys: ['ArrowRight'], when: outsideVanList,
+            handler: () => this.switchToNextVan()
+        });
+        if (this.elements.vanSearch) {
+            this.keymap.register('vans.search', {
+                label: 'Search vans', group: 'Vans', keys: ['/'],
+                handler: () => this.elements.vanSearch.focus()
+            });
+        }
+    }
+
+    /**
+     * Index of the latest selection (or the van on screen) in a van list
+     */
+    getSelectedVanIndex(vans) {
+        const currentInfo = this.vanManager.getCurrentVanInfo();
+        const vanId = this.selectedVanId || (currentInfo && currentInfo.config.id);
+        return vans.findIndex(v => v.id === vanId);
     }
 
     /**
      * Switch to previous van
      */
     switchToPreviousVan() {
-        const vans = this.vanManager.getAvailableVans();
+        const vans = this.getVisibleVans();
         if (vans.length === 0) return;
         
-        const currentInfo = this.vanManager.getCurrentVanInfo();
-        if (!currentInfo) {
-            // No van loaded, load first
-            this.onVanSelect(vans[0].id);
+        const currentIndex = this.getSelectedVanIndex(vans);
+        if (currentIndex === -1) {
+            // No van selected (or it is filtered out), load last
+            this.onVanSelect(vans[vans.length - 1].id);
             return;
         }
         
-        const currentIndex = vans.findIndex(v => v.id === currentInfo.config.id);
         const prevIndex = (currentIndex - 1 + vans.length) % vans.length;
         this.onVanSelect(vans[prevIndex].id);
     }
@@ -185,17 +492,16 @@ export class UIController {
      * Switch to next van
      */
     switchToNextVan() {
-        const vans = this.vanManager.getAvailableVans();
+        const vans = this.getVisibleVans();
         if (vans.length === 0) return;
         
-        const currentInfo = this.vanManager.getCurrentVanInfo();
-        if (!currentInfo) {
-            // No van loaded, load first
+        const currentIndex = this.getSelectedVanIndex(vans);
+        if (currentIndex === -1) {
+            // No van selected (or it is filtered out), load first
             this.onVanSelect(vans[0].id);
             return;
         }
         
-        const currentIndex = vans.findIndex(v => v.id === currentInfo.config.id);
         const nextIndex = (currentIndex + 1) % vans.length;
         this.onVanSelect(vans[nextIndex].id);
     }
@@ -269,6 +575,22 @@ export class UIController {
         }
     }
 
+    /**
+     * Show that the render loop is asleep (render-on-demand)
+     */
+    showFPSIdle() {
+        if (this.elements.fpsCounter) {
+            this.elements.fpsCounter.textContent = 'FPS:  IDLE';
+        }
+    }
+
+    /**
+     * Start measuring from now (the render loop woke up)
+     */
+    resetFPS() {
+        this.lastFrameTime = performance.now();
+    }
+
     /**
      * Update loading progress from model loader
      */
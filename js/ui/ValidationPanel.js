@@ -0,0 +1,61 @@
+import { CONFIG } from '../config.js';
+
+/**
+ * ValidationPanel - Dev panel listing asset validation issues of the garage
+ * and the current van (CONFIG.validation.showPanel or ?dev in the URL)
+ */
+export class ValidationPanel {
+    constructor(vanManager) {
+        this.vanManager = vanManager;
+        this.panel = document.getElementById('validation-panel');
+        this.enabled = CONFIG.validation.enabled
+            && (CONFIG.validation.showPanel || new URLSearchParams(window.location.search).has('dev'));
+
+        this.panel.style.display = this.enabled ? 'block' : 'none';
+        this.render();
+    }
+
+    /**
+     * Show the results for what is on screen (call when the scene changes)
+     */
+    render() {
+        if (!this.enabled) return;
+
+        this.panel.innerHTML = '';
+        const title = document.createElement('div');
+        title.className = 'validation-title';
+        title.textContent = 'ASSETS';
+        this.panel.appendChild(title);
+
+        if (this.vanManager.garageModel) {
+            this.renderModel(CONFIG.models.garage.filename, this.vanManager.garageValidation);
+        }
+        const vanData = this.vanManager.getCurrentVanInfo();
+        if (vanData) {
+            this.renderModel(vanData.config.filename, vanData.validation);
+        }
+    }
+
+    renderModel(filename, issues) {
+        const errors = (issues || []).filter(issue => issue.severity === 'error').length;
+        const warnings = (issues || []).length - errors;
+
+        const row = document.createElement('div');
+        row.className = 'validation-model';
+        if (!issues) {
+            row.textContent = `${filename}  NOT CHECKED`;
+        } else if (issues.length === 0) {
+            row.textContent = `${filename}  OK`;
+        } else {
+            row.textContent = `${filename}  ${errors} ERROR${errors === 1 ? '' : 'S'}, ${warnings} WARNING${warnings === 1 ? '' : 'S'}`;
+        }
+        this.panel.appendChild(row);
+
+        (issues || []).forEach(issue => {
+            const line = document.createElement('div');
+            line.className = `validation-issue ${issue.severity}`;
+            line.textContent = `${issue.severity === 'error' ? '!' : '-'} ${issue.message}`;
+            this.panel.appendChild(line);
+        });
+    }
+}
@@ -0,0 +1,117 @@
+/**
+ * VanFilter - Search, filter chips and sorting for the van selector
+ * Chips in the same group are OR'ed, groups and search terms are AND'ed
+ */
+export class VanFilter {
+    constructor() {
+        this.query = '';
+        this.sort = 'number';
+        this.chips = { make: new Set(), year: new Set(), tags: new Set() };
+    }
+
+    /**
+     * Sort options: label and comparator (vans with unknown values sort last)
+     * @param {Function} getInfo - Returns loaded model info for a van ID (or null)
+     */
+    static getSortOptions(getInfo) {
+        const byNumber = (a, b) => a.number - b.number;
+        const numeric = (value) => (a, b) => {
+            const valueA = value(a);
+            const valueB = value(b);
+            if (valueA == null && valueB == null) return byNumber(a, b);
+            if (valueA == null) return 1;
+            if (valueB == null) return -1;
+            return valueA - valueB || byNumber(a, b);
+        };
+        const info = (van) => getInfo(van.id) || {};
+
+        return {
+            number: { label: 'Number', compare: byNumber },
+            name: { label: 'Name', compare: (a, b) => a.name.localeCompare(b.name) || byNumber(a, b) },
+            polygons: { label: 'Polygons', compare: numeric(van => van.polygonCount ?? info(van).polygonCount) },
+            fileSize: { label: 'File size', compare: numeric(van => van.fileSize ?? info(van).fileSize) },
+            // Newest first; catalog `added` date, falling back to the van number
+            recent: {
+                label: 'Recently added',
+                compare: (a, b) => (Date.parse(b.added) || 0) - (Date.parse(a.added) || 0) || b.number - a.number
+            }
+        };
+    }
+
+    /**
+     * Collect chip values present in the catalog
+     * @returns {Object} - { make: [...], year: [...], tags: [...] }
+     */
+    static getChipValues(vans) {
+        const values = { make: new Set(), year: new Set(), tags: new Set() };
+        vans.forEach(van => {
+            if (van.make) values.make.add(String(van.make));
+            if (van.year) values.year.add(String(van.year));
+            van.tags.forEach(tag => values.tags.add(String(tag)));
+        });
+
+        return {
+            make: Array.from(values.make).sort(),
+            year: Array.from(values.year).sort(),
+            tags: Array.from(values.tags).sort()
+        };
+    }
+
+    setQuery(query) {
+        this.query = query.trim().toLowerCase();
+    }
+
+    setSort(sort) {
+        this.sort = sort;
+    }
+
+    toggleChip(group, value) {
+        const chips = this.chips[group];
+        if (chips.has(value)) {
+            chips.delete(value);
+        } else {
+            chips.add(value);
+        }
+    }
+
+    hasChip(group, value) {
+        return this.chips[group].has(value);
+    }
+
+    isActive() {
+        return this.query !== '' || Object.values(this.chips).some(chips => chips.size > 0);
+    }
+
+    clear() {
+        this.query = '';
+        Object.values(this.chips).forEach(chips => chips.clear());
+    }
+
+    /**
+     * Filter and sort a van list
+     * @param {Array} vans - Catalog entries
+     * @param {Function} getInfo - Returns loaded model info for a van ID (or null)
+     */
+    apply(vans, getInfo) {
+        const terms = this.query.split(/\s+/).filter(Boolean);
+        const sortOption = VanFilter.getSortOptions(getInfo)[this.sort];
+
+        return vans
+            .filter(van => {
+                const haystack = [van.id, van.name, van.make, van.model, van.year, ...van.tags]
+                    .filter(value => value != null)
+                    .join(' ')
+                    .toLowerCase();
+                return terms.every(term => haystack.includes(term));
+            })
+            .filter(van => this.matchesChips(van))
+            .sort(sortOption.compare);
+    }
+
+    matchesChips(van) {
+        const { make, year, tags } = this.chips;
+        return (make.size === 0 || make.has(String(van.make)))
+            && (year.size === 0 || year.has(String(van.year)))
+            && (tags.size === 0 || van.tags.some(tag => tags.has(String(tag))));
+    }
+}
@@ -0,0 +1,83 @@
+import { Keymap } from '../utils/Keymap.js';
+
+/**
+ * ViewPanel - Named camera viewpoints (CONFIG.camera.views plus the van's catalog
+ * viewpoints) as buttons and number-key shortcuts, and the inspect mode toggle
+ */
+export class ViewPanel {
+    constructor(cameraManager, uiController, keymap) {
+        this.cameraManager = cameraManager;
+        this.uiController = uiController;
+        this.keymap = keymap;
+
+        this.elements = {
+            toggle: document.getElementById('view-toggle'),
+            panel: document.getElementById('view-panel'),
+            inspect: document.getElementById('inspect-toggle')
+        };
+        this.buttons = new Map(); // View buttons by view name
+
+        this.cameraManager.onViewChange = () => this.render();
+        this.cameraManager.onInspectChange = () => this.render();
+        this.setupEventListeners();
+        this.populateViews();
+    }
+
+    /**
+     * Rebuild the buttons and shortcuts for the views of the van on screen
+     */
+    populateViews() {
+        this.elements.panel.innerHTML = '';
+        this.buttons.forEach((button, name) => this.keymap.unregister(`view.${name}`));
+        this.buttons.clear();
+
+        this.cameraManager.getViews().forEach(view => {
+            const actionId = `view.${view.name}`;
+            this.keymap.register(actionId, {
+                label: `${view.label} view`, group: 'Camera', keys: view.key ? [view.key] : [],
+                handler: () => this.uiController.setCameraView(view.name)
+            });
+
+            const keys = this.keymap.getKeys(actionId);
+            const button = document.createElement('span');
+            button.className = 'tool-button';
+            button.textContent = view.label.toUpperCase();
+            button.title = keys.length > 0 ? `${view.label} (${keys.map(Keymap.formatKey).join(', ')})` : view.label;
+            button.addEventListener('click', () => this.uiController.setCameraView(view.name));
+            this.elements.panel.appendChild(button);
+            this.buttons.set(view.name, button);
+        });
+
+        this.render();
+    }
+
+    setupEventListeners() {
+        this.elements.toggle.addEventListener('click', () => this.togglePanel());
+        this.elements.inspect.addEventListener('click', () => this.toggleInspect());
+
+        // Keyboard shortcuts (views are registered by populateViews())
+        this.keymap.register('camera.inspect', {
+            label: 'Inspect mode', group: 'Camera', keys: ['i'],
+            handler: () => this.toggleInspect()
+        });
+    }
+
+    togglePanel() {
+        const isOpen = this.elements.panel.style.display !== 'none';
+        this.elements.panel.style.display = isOpen ? 'none' : 'flex';
+        this.elements.toggle.classList.toggle('active', !isOpen);
+    }
+
+    toggleInspect() {
+        this.cameraManager.setInspectMode(!this.cameraManager.isInspecting());
+    }
+
+    render() {
+        this.elements.inspect.classList.toggle('active', this.cameraManager.isInspecting());
+
+        const current = this.cameraManager.getCurrentView();
+        this.buttons.forEach((button, name) => {
+            button.classList.toggle('active', name === current);
+        });
+    }
+}
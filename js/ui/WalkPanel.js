@@ -0,0 +1,68 @@
+import { Keymap } from '../utils/Keymap.js';
+
+/**
+ * WalkPanel - Toolbar toggle, F / Escape shortcuts and the on-screen hint for walk mode
+ */
+export class WalkPanel {
+    constructor(walkManager, keymap) {
+        this.walkManager = walkManager;
+        this.keymap = keymap;
+
+        this.elements = {
+            toggle: document.getElementById('walk-toggle'),
+            hint: document.getElementById('walk-hint')
+        };
+
+        this.walkManager.onChange = () => this.render();
+        this.setupEventListeners();
+        this.render();
+    }
+
+    setupEventListeners() {
+        this.elements.toggle.addEventListener('click', () => this.walkManager.toggle());
+
+        // Keyboard shortcuts; movement keys are held (pressed/released)
+        const isWalking = () => this.walkManager.isEnabled();
+        this.keymap.register('walk.toggle', {
+            label: 'Walk mode', group: 'Walk', keys: ['f'],
+            handler: () => this.walkManager.toggle()
+        });
+        this.keymap.register('walk.exit', {
+            label: 'Stop walking', group: 'Walk', keys: ['Escape'], priority: 10, when: isWalking,
+            handler: () => this.walkManager.setEnabled(false)
+        });
+        [
+            ['forward', 'Walk forward', 'w'],
+            ['back', 'Walk back', 's'],
+            ['left', 'Step left', 'a'],
+            ['right', 'Step right', 'd'],
+            ['run', 'Run (hold)', 'Shift']
+        ].forEach(([move, label, key]) => {
+            this.keymap.register(`walk.${move}`, {
+                label: label, group: 'Walk', keys: [key], when: isWalking,
+                handler: () => this.walkManager.setMoving(move, true),
+                release: () => this.walkManager.setMoving(move, false)
+            });
+        });
+    }
+
+    render() {
+        const enabled = this.walkManager.isEnabled();
+        this.elements.toggle.classList.toggle('active', enabled);
+        this.elements.hint.style.display = enabled ? 'block' : 'none';
+        const walk = this.walkManager.usesJoystick()
+            ? 'JOYSTICK TO WALK'
+            : `${this.formatMoveKeys()} TO WALK, ${this.formatKeys('walk.run')} TO RUN`;
+        const look = this.walkManager.usesPointerLock() ? 'MOUSE TO LOOK' : 'DRAG TO LOOK';
+        const exit = this.walkManager.usesJoystick() ? '' : ', ESC TO EXIT';
+        this.elements.hint.textContent = `${walk}, ${look}${exit}`;
+    }
+
+    formatKeys(actionId) {
+        return this.keymap.getKeys(actionId).map(key => Keymap.formatKey(key).toUpperCase()).join('/') || '-';
+    }
+
+    formatMoveKeys() {
+        return ['walk.forward', 'walk.left', 'walk.back', 'walk.right'].map(id => this.formatKeys(id)).join('');
+    }
+}
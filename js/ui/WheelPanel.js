@@ -0,0 +1,66 @@
+/**
+ * WheelPanel - Wheel controls in the toolbar (wheel picker and front wheel steering)
+ */
+export class WheelPanel {
+    constructor(vanManager) {
+        this.vanManager = vanManager;
+
+        this.elements = {
+            select: document.getElementById('wheel-select'),
+            steer: document.getElementById('wheel-steer')
+        };
+
+        this.setupEventListeners();
+        this.populateWheels();
+    }
+
+    async populateWheels() {
+        const wheels = await this.vanManager.getWheelCatalogAsync();
+
+        this.elements.select.innerHTML = '';
+        wheels.forEach(wheel => {
+            const option = document.createElement('option');
+            option.value = wheel.id;
+            option.textContent = wheel.name.toUpperCase();
+            option.title = [wheel.rim && `${wheel.rim}" rim`, wheel.tyre].filter(Boolean).join(', ');
+            this.elements.select.appendChild(option);
+        });
+
+        // A single wheel leaves nothing to pick
+        this.elements.select.style.display = wheels.length > 1 ? '' : 'none';
+        this.render();
+    }
+
+    setupEventListeners() {
+        this.elements.steer.addEventListener('click', () => this.toggleSteering());
+        this.elements.select.addEventListener('change', () => this.onWheelSelect(this.elements.select.value));
+    }
+
+    async onWheelSelect(wheelId) {
+        const vanData = this.vanManager.getCurrentVanInfo();
+        if (!vanData) return;
+
+        const changed = await this.vanManager.setVanWheel(vanData.config.id, wheelId);
+        if (!changed) {
+            console.warn(`Could not fit wheel ${wheelId}`);
+            this.render();
+        }
+    }
+
+    toggleSteering() {
+        this.vanManager.setSteering(!this.vanManager.isSteering());
+        this.render();
+    }
+
+    /**
+     * Show the current van's wheel (call when the van on screen changes)
+     */
+    render() {
+        const vanData = this.vanManager.getCurrentVanInfo();
+        this.elements.select.disabled = !vanData;
+        if (vanData) {
+            this.elements.select.value = this.vanManager.wheelSelections.get(vanData.config.id) || vanData.wheelId;
+        }
+        this.elements.steer.classList.toggle('active', this.vanManager.isSteering());
+    }
+}
@@ -0,0 +1,57 @@
+import { CONFIG } from '../config.js';
+
+/**
+ * AssetValidator - Checks model stats against CONFIG.models.recommended
+ * Used in the browser when a model loads and by scripts/validate-assets.mjs,
+ * so scanners see the same results before publishing
+ */
+export class AssetValidator {
+    constructor(budgets = CONFIG.models.recommended) {
+        this.budgets = budgets;
+    }
+
+    /**
+     * Validate a model's stats
+     * @param {string} kind - 'garage' or 'van'
+     * @param {Object} stats - { format, polygonCount, fileSize (bytes), textures: [{ name, width, height }] }
+     * @returns {Array} - Issues: [{ severity: 'error' | 'warning', rule, message }]
+     */
+    validate(kind, stats) {
+        const budgets = this.budgets;
+        const issues = [];
+        const add = (severity, rule, message) => issues.push({ severity, rule, message });
+
+        if (stats.format && stats.format.toUpperCase() !== budgets.format) {
+            add('warning', 'format', `${stats.format.toUpperCase()} file, ${budgets.format} recommended`);
+        }
+
+        const maxPolygons = budgets.maxPolygons[kind];
+        if (maxPolygons && stats.polygonCount > maxPolygons) {
+            add('error', 'polygons',
+                `${stats.polygonCount.toLocaleString()} polygons (max ${maxPolygons.toLocaleString()})`);
+        }
+
+        const maxFileSize = budgets.maxFileSize[kind];
+        if (maxFileSize && stats.fileSize > maxFileSize * 1024 * 1024) {
+            add('error', 'fileSize',
+                `${(stats.fileSize / (1024 * 1024)).toFixed(2)} MB file (max ${maxFileSize} MB)`);
+        }
+
+        (stats.textures || []).forEach(texture => {
+            const size = Math.max(texture.width, texture.height);
+            const label = `Texture ${texture.name || '(unnamed)'} ${texture.width}x${texture.height}`;
+
+            if (size > budgets.textureSize.max) {
+                add('error', 'textureSize', `${label} (max ${budgets.textureSize.max})`);
+            } else if (size > budgets.textureSize.recommended) {
+                add('warning', 'textureSize', `${label} (${budgets.textureSize.recommended} recommended)`);
+            }
+        });
+
+        return issues;
+    }
+
+    static hasErrors(issues) {
+        return issues.some(issue => issue.severity === 'error');
+    }
+}
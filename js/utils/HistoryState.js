@@ -0,0 +1,78 @@
+/**
+ * HistoryState - Keeps the selected van, camera view and paint configuration in the URL
+ * (?van=van-031&view=rear&paint=b3121b-metallic) so views can be shared and restored with back/forward
+ */
+export class HistoryState {
+    constructor() {
+        this.params = ['van', 'view', 'paint', 'variant'];
+    }
+
+    /**
+     * Read the state from the current URL
+     * @returns {Object} - { van, view, paint, variant } (null when absent)
+     */
+    read() {
+        const search = new URLSearchParams(window.location.search);
+        const state = {};
+
+        this.params.forEach(param => {
+            state[param] = search.get(param) || null;
+        });
+
+        return state;
+    }
+
+    /**
+     * Add a history entry for the state (no-op if the URL already matches)
+     * @param {Object} state - { van, view, paint, variant }
+     */
+    push(state) {
+        this.write(state, false);
+    }
+
+    /**
+     * Replace the current history entry with the state
+     * @param {Object} state - { van, view, paint, variant }
+     */
+    replace(state) {
+        this.write(state, true);
+    }
+
+    write(state, replace) {
+        const url = this.buildUrl(state);
+        const currentUrl = window.location.pathname + window.location.search + window.location.hash;
+        if (url === currentUrl && !replace) return;
+
+        if (replace) {
+            window.history.replaceState(state, '', url);
+        } else {
+            window.history.pushState(state, '', url);
+        }
+    }
+
+    /**
+     * Build a URL for the state, keeping unrelated query parameters and the hash
+     */
+    buildUrl(state) {
+        const search = new URLSearchParams(window.location.search);
+
+        this.params.forEach(param => {
+            if (state[param]) {
+                search.set(param, state[param]);
+            } else {
+                search.delete(param);
+            }
+        });
+
+        const query = search.toString();
+        return window.location.pathname + (query ? `?${query}` : '') + window.location.hash;
+    }
+
+    /**
+     * Call back with the restored state on browser back/forward navigation
+     * @param {Function} callback - Called with { van, view, paint, variant }
+     */
+    onChange(callback) {
+        window.addEventListener('popstate', () => callback(this.read()));
+    }
+}
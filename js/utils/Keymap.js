@@ -0,0 +1,269 @@
+import { CONFIG } from '../config.js';
+
+/**
+ * Keymap - Registry of keyboard shortcuts
+ * Features register named actions with default keys; the user can rebind them
+ * (saved in localStorage). Keys are ignored while typing in a form field.
+ * A key press runs one action: the active one with the highest priority
+ * (the first registered on a tie), so e.g. Escape closes only the topmost overlay
+ *
+ * Keys are written like e.key, letters lowercase, with Ctrl+/Alt+/Meta+ prefixes
+ * and Shift+ (except for symbols typed with Shift alone, where e.key already has it):
+ * 'r', 'Shift+r', '?', 'Escape', 'Shift+ArrowLeft', 'Ctrl+z', 'Ctrl+Shift+z'
+ */
+export class Keymap {
+    constructor() {
+        this.storageKey = CONFIG.ui.keymap.storageKey;
+        this.actions = new Map(); // Registered actions by id, in registration order
+        this.overrides = this.loadOverrides(); // { actionId: [keys] } rebound by the user
+        this.held = new Map(); // Pressed key -> action to release on keyup
+        this.captureCallback = null; // Receives the next key instead of the actions (rebinding)
+        this.onChange = null; // Called when actions or bindings change
+
+        window.addEventListener('keydown', (e) => this.onKeyDown(e));
+        window.addEventListener('keyup', (e) => this.onKeyUp(e));
+        window.addEventListener('blur', () => this.releaseAll());
+    }
+
+    /**
+     * Add (or replace) an action
+     * @param {string} id - Unique id, 'group.name' (used to store the user's binding)
+     * @param {Object} action - {
+     *   label, group: shown in the help overlay
+     *   keys: default keys
+     *   handler(e): called on keydown
+     *   release(e): called on keyup of a key whose keydown ran the action (held actions)
+     *   when(e): the action only runs (and counts as active) while this returns true
+     *   priority: wins over other active actions on the same key (default 0)
+     *   repeat: also run on key auto-repeat (default false)
+     *   preventDefault: stop the browser's default for the key (default true)
+     * }
+     */
+    register(id, action) {
+        this.actions.set(id, {
+            id: id,
+            label: action.label || id,
+            group: action.group || 'General',
+            keys: action.keys || [],
+            handler: action.handler || null,
+            release: action.release || null,
+            when: action.when || null,
+            priority: action.priority || 0,
+            repeat: action.repeat || false,
+            preventDefault: action.preventDefault !== false
+        });
+        this.notifyChange();
+    }
+
+    unregister(id) {
+        if (this.actions.delete(id)) {
+            this.notifyChange();
+        }
+    }
+
+    /**
+     * Keys bound to an action (the user's override, else its defaults)
+     */
+    getKeys(id) {
+        const action = this.actions.get(id);
+        if (this.overrides[id]) return this.overrides[id];
+        return action ? action.keys : [];
+    }
+
+    /**
+     * Rebind an action (saved on this device); an empty array leaves it unbound
+     */
+    setKeys(id, keys) {
+        const action = this.actions.get(id);
+        const sameAsDefault = action && action.keys.length === keys.length && action.keys.every(key => keys.includes(key));
+        if (sameAsDefault) {
+            delete this.overrides[id];
+        } else {
+            this.overrides[id] = keys;
+        }
+
+        keys.forEach(key => {
+            const others = this.getActionsForKey(key).filter(other => other.id !== id);
+            if (others.length > 0) {
+                console.warn(`Shortcut ${key} is also bound to ${others.map(other => other.id).join(', ')}`);
+            }
+        });
+
+        this.saveOverrides();
+        console.log(`Shortcut ${id}: ${keys.join(', ') || 'unbound'}`);
+        this.notifyChange();
+    }
+
+    resetKeys(id) {
+        delete this.overrides[id];
+        this.saveOverrides();
+        this.notifyChange();
+    }
+
+    resetAll() {
+        this.overrides = {};
+        this.saveOverrides();
+        this.notifyChange();
+    }
+
+    isOverridden(id) {
+        return id in this.overrides;
+    }
+
+    /**
+     * Registered actions with their current keys, grouped for display
+     * @returns {Array} - [{ group, actions: [{ id, label, keys, active, overridden }] }]
+     */
+    getGroups() {
+        const groups = new Map();
+        this.actions.forEach(action => {
+            if (!groups.has(action.group)) {
+                groups.set(action.group, []);
+            }
+            groups.get(action.group).push({
+                id: action.id,
+                label: action.label,
+                keys: this.getKeys(action.id),
+                active: this.isActive(action, null),
+                overridden: this.isOverridden(action.id)
+            });
+        });
+        return Array.from(groups, ([group, actions]) => ({ group, actions }));
+    }
+
+    getActionsForKey(key) {
+        return Array.from(this.actions.values()).filter(action => this.getKeys(action.id).includes(key));
+    }
+
+    /**
+     * Hand the next key press to a callback instead of the actions (for rebinding)
+     * @param {Function|null} callback - Called with the key (null when cancelled with Escape)
+     */
+    capture(callback) {
+        this.captureCallback = callback;
+    }
+
+    /**
+     * Key name of a keyboard event in keymap notation
+     */
+    static getKey(e) {
+        const isModifier = ['Control', 'Alt', 'Meta', 'Shift'].includes(e.key);
+        let key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+        if (key === ' ') key = 'Space';
+        if (isModifier) return key;
+
+        const prefixes = [];
+        if (e.ctrlKey) prefixes.push('Ctrl');
+        if (e.altKey) prefixes.push('Alt');
+        if (e.metaKey) prefixes.push('Meta');
+        // A symbol typed with Shift alone already has it in e.key ('?' rather than 'Shift+/')
+        if (e.shiftKey && (prefixes.length > 0 || !Keymap.isSymbol(e.key))) prefixes.push('Shift');
+        return [...prefixes, key].join('+');
+    }
+
+    /**
+     * Whether a key is a printable character other than a letter or space ('?', '/', '1')
+     */
+    static isSymbol(key) {
+        return key.length === 1 && key !== ' ' && key.toLowerCase() === key.toUpperCase();
+    }
+
+    /**
+     * Display form of a key ('ArrowLeft' -> '←', 'r' -> 'R')
+     */
+    static formatKey(key) {
+        const symbols = { ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓', Escape: 'Esc', Backspace: '⌫' };
+        return key.split('+').map(part => symbols[part] || (part.length === 1 ? part.toUpperCase() : part)).join('+');
+    }
+
+    static isTyping(e) {
+        return Boolean(e.target.closest && e.target.closest('input, select, textarea, [contenteditable="true"]'));
+    }
+
+    isActive(action, e) {
+        return !action.when || Boolean(action.when(e));
+    }
+
+    onKeyDown(e) {
+        const key = Keymap.getKey(e);
+
+        if (this.captureCallback) {
+            if (['Control', 'Alt', 'Meta', 'Shift'].includes(key)) return; // Wait for the actual key
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            const callback = this.captureCallback;
+            this.captureCallback = null;
+            callback(key === 'Escape' ? null : key);
+            return;
+        }
+
+        if (Keymap.isTyping(e)) return;
+
+        let action = this.findAction(key, e);
+        if (!action && key.startsWith('Shift+') && key.length === 7) {
+            // Shift+letter with nothing bound: the plain letter (walk with Shift held to run)
+            action = this.findAction(key.slice(6), e);
+        }
+        if (!action) return;
+        if (action.preventDefault) {
+            e.preventDefault();
+        }
+        if (e.repeat && !action.repeat) return;
+
+        if (action.handler) {
+            action.handler(e);
+        }
+        if (action.release && !e.repeat) {
+            this.held.set(key.split('+').pop(), action);
+        }
+    }
+
+    /**
+     * The active action with the highest priority bound to a key
+     */
+    findAction(key, e) {
+        return this.getActionsForKey(key)
+            .filter(candidate => this.isActive(candidate, e))
+            .reduce((best, candidate) => !best || candidate.priority > best.priority ? candidate : best, null);
+    }
+
+    onKeyUp(e) {
+        // Match by the bare key so releasing a modifier first doesn't leave the action held
+        let key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+        if (key === ' ') key = 'Space';
+        const held = this.held.get(key);
+        if (!held) return;
+
+        this.held.delete(key);
+        held.release(e);
+    }
+
+    releaseAll() {
+        this.held.forEach(action => action.release(null));
+        this.held.clear();
+    }
+
+    loadOverrides() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (saved && typeof saved === 'object') return saved;
+        } catch (error) {
+            // localStorage unavailable (privacy mode) or corrupt
+        }
+        return {};
+    }
+
+    saveOverrides() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.overrides));
+        } catch (error) {
+            // localStorage unavailable (privacy mode)
+        }
+    }
+
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+}
@@ -103,6 +103,7 @@ export class ModelLoader {
                         model: model,
                         animations: gltf.animations,
                         userData: gltf.userData,
+                        parser: gltf.parser, // Loads extra materials on demand (KHR_materials_variants)
                         fileSize: fileSize
                     });
                 },
@@ -184,6 +185,129 @@ export class ModelLoader {
         };
     }
 
+    /**
+     * Find nodes (meshes, empties/null objects) inside a model
+     * @param {THREE.Object3D} model - The model to search
+     * @param {Function} predicate - Called with each node, returns true to keep it
+     * @returns {Array<THREE.Object3D>} - Matching nodes in traversal order
+     */
+    findNodes(model, predicate) {
+        const nodes = [];
+        model.traverse((child) => {
+            if (predicate(child)) {
+                nodes.push(child);
+            }
+        });
+        return nodes;
+    }
+
+    /**
+     * Estimate GPU memory used by a model (geometry buffers + textures with mipmaps)
+     * Objects flagged with userData.sharedResources are skipped
+     * @param {THREE.Object3D} model - The model to analyze
+     * @returns {number} - Estimated bytes
+     */
+    estimateGPUBytes(model) {
+        let bytes = 0;
+        const seenGeometries = new Set();
+        const seenTextures = new Set();
+
+        this.traverseOwned(model, (child) => {
+            if (!child.isMesh) return;
+
+            const geometry = child.geometry;
+            if (geometry && !seenGeometries.has(geometry)) {
+                seenGeometries.add(geometry);
+                Object.values(geometry.attributes).forEach((attribute) => {
+                    bytes += attribute.array.byteLength;
+                });
+                if (geometry.index) {
+                    bytes += geometry.index.array.byteLength;
+                }
+            }
+
+            this.getMaterials(child).forEach((material) => {
+                this.getTextures(material).forEach((texture) => {
+                    if (seenTextures.has(texture)) return;
+                    seenTextures.add(texture);
+
+                    const image = texture.image;
+                    if (image && image.width && image.height) {
+                        // RGBA8 plus ~1/3 for mipmaps
+                        bytes += image.width * image.height * 4 * 4 / 3;
+                    }
+                });
+            });
+        });
+
+        return Math.round(bytes);
+    }
+
+    /**
+     * Size of every texture a model owns (for asset validation)
+     * @returns {Array} - [{ name, width, height }]
+     */
+    getTextureInfo(model) {
+        const textures = new Set();
+        this.traverseOwned(model, (child) => {
+            if (!child.isMesh) return;
+            this.getMaterials(child).forEach((material) => {
+                this.getTextures(material).forEach((texture) => textures.add(texture));
+            });
+        });
+
+        return Array.from(textures)
+            .filter((texture) => texture.image && texture.image.width && texture.image.height)
+            .map((texture) => ({
+                name: texture.name,
+                width: texture.image.width,
+                height: texture.image.height
+            }));
+    }
+
+    /**
+     * Free GPU resources (geometries, materials, textures) held by a model
+     * Objects flagged with userData.sharedResources are skipped
+     * @param {THREE.Object3D} model - The model to dispose
+     */
+    disposeModel(model) {
+        const textures = new Set();
+
+        this.traverseOwned(model, (child) => {
+            if (!child.isMesh) return;
+
+            if (child.geometry) {
+                child.geometry.dispose();
+            }
+
+            this.getMaterials(child).forEach((material) => {
+                this.getTextures(material).forEach((texture) => textures.add(texture));
+                material.dispose();
+            });
+        });
+
+        textures.forEach((texture) => texture.dispose());
+    }
+
+    /**
+     * Traverse a model, skipping subtrees whose resources are shared with other models
+     */
+    traverseOwned(object, callback) {
+        if (object.userData.sharedResources) return;
+
+        callback(object);
+        object.children.forEach((child) => this.traverseOwned(child, callback));
+    }
+
+    getMaterials(mesh) {
+        if (!mesh.material) return [];
+        return Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+    }
+
+    getTextures(material) {
+        return Object.values(material).filter((value) => value && value.isTexture);
+    }
+
     /**
      * Dispose of resources
      */
@@ -0,0 +1,74 @@
+/**
+ * ThumbnailStore - IndexedDB cache for generated van thumbnails
+ * Every method resolves to null / does nothing when IndexedDB is unavailable
+ */
+export class ThumbnailStore {
+    constructor(dbName = 'vanscans-garage', storeName = 'thumbnails') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open (and create if needed) the database
+     * @returns {Promise<IDBDatabase|null>}
+     */
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve) => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('Thumbnail cache unavailable:', request.error);
+                resolve(null);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Get a cached thumbnail
+     * @param {string} key - Cache key
+     * @returns {Promise<Blob|null>}
+     */
+    async get(key) {
+        const db = await this.open();
+        if (!db) return null;
+
+        return new Promise((resolve) => {
+            const request = db.transaction(this.storeName, 'readonly').objectStore(this.storeName).get(key);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => resolve(null);
+        });
+    }
+
+    /**
+     * Store a thumbnail
+     * @param {string} key - Cache key
+     * @param {Blob} blob - JPEG image
+     */
+    async set(key, blob) {
+        const db = await this.open();
+        if (!db) return;
+
+        return new Promise((resolve) => {
+            const transaction = db.transaction(this.storeName, 'readwrite');
+            transaction.objectStore(this.storeName).put(blob, key);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => {
+                console.warn(`Failed to cache thumbnail ${key}:`, transaction.error);
+                resolve();
+            };
+        });
+    }
+}
@@ -0,0 +1,100 @@
+/**
+ * ZipWriter - Minimal ZIP archive builder (store only, no compression)
+ * Good enough for PNG sequences, which are already compressed
+ */
+export class ZipWriter {
+    constructor() {
+        this.files = []; // { name, data, crc, offset }
+        this.offset = 0;
+        this.chunks = [];
+    }
+
+    /**
+     * Add a file to the archive
+     * @param {string} name - Path inside the archive
+     * @param {Uint8Array} data - File contents
+     */
+    addFile(name, data) {
+        const nameBytes = new TextEncoder().encode(name);
+        const crc = ZipWriter.crc32(data);
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true);   // Local file header signature
+        header.setUint16(4, 20, true);           // Version needed to extract
+        header.setUint16(6, 0x0800, true);       // Flags: UTF-8 names
+        header.setUint16(8, 0, true);            // Method: store
+        header.setUint16(10, 0, true);           // Modification time
+        header.setUint16(12, 0x21, true);        // Modification date (1980-01-01)
+        header.setUint32(14, crc, true);
+        header.setUint32(18, data.length, true); // Compressed size
+        header.setUint32(22, data.length, true); // Uncompressed size
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, 0, true);           // Extra field length
+
+        this.files.push({ nameBytes, size: data.length, crc, offset: this.offset });
+        this.chunks.push(new Uint8Array(header.buffer), nameBytes, data);
+        this.offset += 30 + nameBytes.length + data.length;
+    }
+
+    /**
+     * Finish the archive
+     * @returns {Blob} - application/zip blob
+     */
+    toBlob() {
+        const centralChunks = [];
+        let centralSize = 0;
+
+        this.files.forEach(file => {
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true);  // Central directory signature
+            entry.setUint16(4, 20, true);          // Version made by
+            entry.setUint16(6, 20, true);          // Version needed to extract
+            entry.setUint16(8, 0x0800, true);      // Flags: UTF-8 names
+            entry.setUint16(10, 0, true);          // Method: store
+            entry.setUint16(12, 0, true);          // Modification time
+            entry.setUint16(14, 0x21, true);       // Modification date
+            entry.setUint32(16, file.crc, true);
+            entry.setUint32(20, file.size, true);
+            entry.setUint32(24, file.size, true);
+            entry.setUint16(28, file.nameBytes.length, true);
+            entry.setUint32(42, file.offset, true); // Local header offset
+
+            centralChunks.push(new Uint8Array(entry.buffer), file.nameBytes);
+            centralSize += 46 + file.nameBytes.length;
+        });
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);        // End of central directory signature
+        end.setUint16(8, this.files.length, true); // Entries on this disk
+        end.setUint16(10, this.files.length, true); // Total entries
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, this.offset, true);      // Central directory offset
+
+        return new Blob([...this.chunks, ...centralChunks, new Uint8Array(end.buffer)], {
+            type: 'application/zip'
+        });
+    }
+
+    /**
+     * CRC-32 (IEEE) checksum
+     * @param {Uint8Array} data - Bytes to checksum
+     */
+    static crc32(data) {
+        if (!ZipWriter.crcTable) {
+            ZipWriter.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                ZipWriter.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < data.length; i++) {
+            crc = ZipWriter.crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+}
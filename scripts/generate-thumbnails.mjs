@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+/**
+ * Pre-generate van selector thumbnails for the whole catalog
+ *
+ * Serves the app locally, opens it in headless Chrome (puppeteer) and uses the
+ * app's own ThumbnailManager so thumbnails match the ones rendered in the browser.
+ * JPEGs are written to models/vans/<thumbnail> (thumbnails/van-NNN.jpg by default).
+ *
+ * Usage: npm run thumbnails [-- van-001 van-031]
+ */
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import puppeteer from 'puppeteer';
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const vansDir = path.join(rootDir, 'models/vans');
+const vanIds = process.argv.slice(2);
+
+const mimeTypes = {
+    '.html': 'text/html',
+    '.js': 'text/javascript',
+    '.css': 'text/css',
+    '.json': 'application/json',
+    '.glb': 'model/gltf-binary',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ttf': 'font/ttf'
+};
+
+/**
+ * Minimal static file server for the repository root
+ */
+function startServer() {
+    const server = http.createServer(async (request, response) => {
+        const urlPath = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+        const filePath = path.join(rootDir, urlPath === '/' ? 'index.html' : urlPath);
+
+        if (!filePath.startsWith(rootDir)) {
+            response.writeHead(403).end();
+            return;
+        }
+
+        try {
+            const data = await fs.readFile(filePath);
+            response.writeHead(200, {
+                'Content-Type': mimeTypes[path.extname(filePath)] || 'application/octet-stream',
+                'Content-Length': data.length
+            });
+            response.end(request.method === 'HEAD' ? undefined : data);
+        } catch {
+            response.writeHead(404).end();
+        }
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+async function main() {
+    const server = await startServer();
+    const { port } = server.address();
+    const browser = await puppeteer.launch({
+        headless: true,
+        args: ['--use-angle=swiftshader', '--enable-unsafe-swiftshader']
+    });
+
+    try {
+        const page = await browser.newPage();
+        page.on('console', message => {
+            if (message.type() === 'error') console.error(`[browser] ${message.text()}`);
+        });
+
+        await page.goto(`http://127.0.0.1:${port}/`, { waitUntil: 'load' });
+        await page.waitForFunction(
+            () => window.garageApp && window.garageApp.vanManager && window.garageApp.vanManager.vansDetected,
+            { timeout: 120000 }
+        );
+
+        const { attempted, thumbnails } = await page.evaluate(async (ids) => {
+            const app = window.garageApp;
+            return {
+                attempted: ids.length > 0 ? ids.length : app.vanManager.getAvailableVans().length,
+                thumbnails: await app.thumbnailManager.generateAll(ids.length > 0 ? ids : null)
+            };
+        }, vanIds);
+
+        for (const { id, thumbnail, dataUrl } of thumbnails) {
+            const outputPath = path.join(vansDir, thumbnail);
+            await fs.mkdir(path.dirname(outputPath), { recursive: true });
+            await fs.writeFile(outputPath, Buffer.from(dataUrl.split(',')[1], 'base64'));
+            console.log(`${id} -> ${path.relative(rootDir, outputPath)}`);
+        }
+
+        console.log(`Generated ${thumbnails.length} of ${attempted} thumbnails`);
+        if (thumbnails.length < attempted) {
+            process.exitCode = 1;
+        }
+    } finally {
+        await browser.close();
+        server.close();
+    }
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+/**
+ * Ingest new scans: report on every model in models/vans and update the van catalog
+ *
+ * Reads each file's GLB header and JSON chunk (no geometry is decoded) and prints
+ * polygon/vertex counts, bounds, wheel mount nulls and texture sizes. Files named
+ * per CONFIG.models.vans.getFilename() (van-NNN.glb) that are missing from the
+ * catalog are added with defaults; every entry gets fresh `polygonCount` and
+ * `fileSize`. Files that break the naming convention are flagged and left out.
+ * Exits with 1 when a file is flagged or unreadable.
+ *
+ * Usage: npm run ingest [-- [--dry-run] [--prune]]
+ *   --dry-run  Report only, don't write the catalog
+ *   --prune    Drop catalog entries whose file no longer exists
+ */
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { CONFIG } from '../js/config.js';
+import { AssetValidator } from '../js/utils/AssetValidator.js';
+import { readModel, getModelStats } from './lib/glb.mjs';
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const vansConfig = CONFIG.models.vans;
+const vansDir = path.join(rootDir, vansConfig.basePath);
+const catalogPath = path.join(vansDir, vansConfig.catalog);
+const args = process.argv.slice(2);
+const flags = ['--dry-run', '--prune'];
+const dryRun = args.includes('--dry-run');
+const prune = args.includes('--prune');
+
+// Unknown flags (and --help) print the usage before anything is read or written
+const unknown = args.filter(arg => !flags.includes(arg));
+if (unknown.length > 0) {
+    if (!unknown.includes('--help')) {
+        console.error(`Unknown option: ${unknown.join(' ')}`);
+    }
+    console.error('Usage: npm run ingest [-- [--dry-run] [--prune]]');
+    console.error('  --dry-run  Report only, don\'t write the catalog');
+    console.error('  --prune    Drop catalog entries whose file no longer exists');
+    process.exit(1);
+}
+
+/**
+ * Check a filename against the van-NNN convention
+ * @returns {Object} - { number, id } when it conforms, else { problem, suggestion }
+ */
+function checkFilename(filename) {
+    const match = filename.match(/(\d+)\D*$/);
+    const number = match ? parseInt(match[1], 10) : null;
+    const expected = number !== null && number > 0 ? vansConfig.getFilename(number) : null;
+
+    if (expected === filename) {
+        return { number, id: vansConfig.getVanId(number) };
+    }
+    return {
+        problem: expected ? `does not match the ${vansConfig.filenamePattern}NNN convention` : 'has no van number',
+        suggestion: expected
+    };
+}
+
+/**
+ * Read the existing catalog (array or { version, vans }), or start a new one
+ */
+async function readCatalog() {
+    try {
+        const catalog = JSON.parse(await fs.readFile(catalogPath, 'utf8'));
+        return Array.isArray(catalog) ? { version: 1, vans: catalog } : catalog;
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        console.log(`No catalog at ${path.relative(rootDir, catalogPath)}, creating one`);
+        return { version: 1, vans: [] };
+    }
+}
+
+function formatStats(stats, fileSize) {
+    const size = stats.bounds ? stats.bounds.size.map(value => value.toFixed(2)).join(' x ') : '?';
+    const mounts = CONFIG.models.wheels.mounts;
+    const found = mounts.filter(name => stats.nodeNames.includes(name));
+    const textures = stats.textures.map(texture => `${texture.width}x${texture.height}`).join(', ') || 'none';
+
+    return [
+        `poly ${stats.polygonCount.toLocaleString()}, vert ${stats.vertexCount.toLocaleString()}, ${(fileSize / (1024 * 1024)).toFixed(2)} MB`,
+        `bounds ${size} m`,
+        `wheel mounts ${found.length > 0 ? found.join(' ') : 'none'}${found.length > 0 && found.length < mounts.length ? ` (missing ${mounts.filter(name => !found.includes(name)).join(' ')})` : ''}`,
+        `textures ${textures}`
+    ];
+}
+
+async function main() {
+    const validator = new AssetValidator();
+    const catalog = await readCatalog();
+    const getId = (entry) => entry.id || entry.filename.replace(vansConfig.fileExtension, '');
+    const entriesById = new Map(catalog.vans.map(entry => [getId(entry), entry]));
+    const files = (await fs.readdir(vansDir, { withFileTypes: true }))
+        .filter(entry => entry.isFile() && /\.(glb|gltf)$/i.test(entry.name))
+        .map(entry => entry.name)
+        .sort();
+    const added = [];
+    let flagged = 0;
+
+    for (const filename of files) {
+        const naming = checkFilename(filename);
+        const filePath = path.join(vansDir, filename);
+        let model;
+        let stats;
+
+        try {
+            model = await readModel(filePath);
+            stats = await getModelStats(model, filePath);
+        } catch (error) {
+            console.log(`FAIL ${filename}\n     ! Unreadable: ${error.message}`);
+            flagged++;
+            continue;
+        }
+
+        const issues = validator.validate('van', { ...stats, format: model.format, fileSize: model.fileSize });
+        const isNew = !naming.problem && !entriesById.has(naming.id);
+        console.log(`${naming.problem ? 'FLAG' : isNew ? 'NEW ' : 'OK  '} ${filename}`);
+        formatStats(stats, model.fileSize).forEach(line => console.log(`     ${line}`));
+        if (naming.problem) {
+            console.log(`     ! Name ${naming.problem}${naming.suggestion ? `, rename to ${naming.suggestion}` : ''}`);
+        }
+        issues.forEach(issue => console.log(`     ${issue.severity === 'error' ? '!' : '-'} ${issue.message}`));
+
+        if (naming.problem) {
+            flagged++;
+            continue;
+        }
+
+        let entry = entriesById.get(naming.id);
+        if (!entry) {
+            entry = {
+                id: naming.id,
+                name: `Van ${naming.id.slice(vansConfig.filenamePattern.length)}`,
+                filename: filename,
+                make: null,
+                model: null,
+                year: null,
+                tags: [],
+                added: new Date().toISOString().slice(0, 10)
+            };
+            catalog.vans.push(entry);
+            entriesById.set(naming.id, entry);
+            added.push(naming.id);
+        }
+        entry.polygonCount = stats.polygonCount;
+        entry.fileSize = model.fileSize;
+    }
+
+    // Catalog entries without a file
+    const missing = catalog.vans.filter(entry => !files.includes(entry.filename || `${entry.id}${vansConfig.fileExtension}`));
+    missing.forEach(entry => console.log(`${prune ? 'DROP' : 'MISS'} ${getId(entry)}`));
+    if (prune) {
+        catalog.vans = catalog.vans.filter(entry => !missing.includes(entry));
+    }
+
+    // Keep the catalog in van number order
+    const number = (entry) => parseInt((getId(entry).match(/(\d+)$/) || [])[1], 10) || Infinity;
+    catalog.vans.sort((a, b) => number(a) - number(b));
+
+    console.log(`\n${files.length} files: ${added.length} new, ${flagged} flagged, ${missing.length} catalog entries without a file`);
+    if (dryRun) {
+        console.log('Dry run, catalog not written');
+    } else {
+        await fs.writeFile(catalogPath, `${JSON.stringify(catalog, null, 4)}\n`);
+        console.log(`Wrote ${path.relative(rootDir, catalogPath)} (${catalog.vans.length} vans)`);
+    }
+
+    if (flagged > 0) {
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
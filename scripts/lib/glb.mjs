@@ -0,0 +1,264 @@
+/**
+ * Minimal glTF / GLB reader for the Node scripts
+ *
+ * Reads the JSON chunk and the binary chunk of a .glb (or a .gltf with embedded or
+ * neighbouring buffers) and derives the same stats the app reports for a loaded
+ * model, without decoding any geometry.
+ */
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+const GLB_MAGIC = 0x46546c67; // 'glTF'
+const CHUNK_JSON = 0x4e4f534a;
+const CHUNK_BIN = 0x004e4942;
+
+/**
+ * Read a .glb or .gltf file
+ * @param {string} filePath - Model path
+ * @returns {Promise<Object>} - { format: 'GLB' | 'GLTF', json, bin (Buffer|null), fileSize, version }
+ */
+export async function readModel(filePath) {
+    const data = await fs.readFile(filePath);
+
+    if (path.extname(filePath).toLowerCase() === '.gltf') {
+        return { format: 'GLTF', json: JSON.parse(data.toString('utf8')), bin: null, fileSize: data.length, version: 2 };
+    }
+
+    if (data.length < 20 || data.readUInt32LE(0) !== GLB_MAGIC) {
+        throw new Error('Not a GLB file (bad magic)');
+    }
+
+    const version = data.readUInt32LE(4);
+    const length = data.readUInt32LE(8);
+    if (version !== 2) {
+        throw new Error(`Unsupported GLB version ${version}`);
+    }
+    if (length > data.length) {
+        throw new Error(`Truncated GLB (header says ${length} bytes, file has ${data.length})`);
+    }
+
+    let json = null;
+    let bin = null;
+    let offset = 12;
+    while (offset + 8 <= length) {
+        const chunkLength = data.readUInt32LE(offset);
+        const chunkType = data.readUInt32LE(offset + 4);
+        const chunk = data.subarray(offset + 8, offset + 8 + chunkLength);
+
+        if (chunkType === CHUNK_JSON) {
+            json = JSON.parse(chunk.toString('utf8'));
+        } else if (chunkType === CHUNK_BIN && !bin) {
+            bin = chunk;
+        }
+        offset += 8 + chunkLength;
+    }
+
+    if (!json) {
+        throw new Error('GLB has no JSON chunk');
+    }
+
+    return { format: 'GLB', json, bin, fileSize: data.length, version };
+}
+
+/**
+ * Polygon/vertex counts, textures and named nodes of a model
+ * Meshes are counted once per node that uses them (like ModelLoader.getModelInfo())
+ * @param {Object} model - Result of readModel()
+ * @param {string} filePath - Model path (to resolve external buffers of a .gltf)
+ * @returns {Promise<Object>} - { polygonCount, vertexCount, meshCount, materialCount, bounds, textures, animations, variants, nodeNames }
+ *   (bounds are in file units before the catalog's scale/rotation: { min, max, size } as [x, y, z])
+ */
+export async function getModelStats(model, filePath) {
+    const json = model.json;
+    const accessors = json.accessors || [];
+    const meshes = json.meshes || [];
+    const nodes = json.nodes || [];
+    let polygonCount = 0;
+    let vertexCount = 0;
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+
+    const visit = (nodeIndex, parentMatrix) => {
+        const node = nodes[nodeIndex];
+        if (!node) return;
+
+        const matrix = multiply(parentMatrix, getNodeMatrix(node));
+        if (node.mesh !== undefined && meshes[node.mesh]) {
+            meshes[node.mesh].primitives.forEach(primitive => {
+                const position = accessors[primitive.attributes.POSITION];
+                const indices = primitive.indices !== undefined ? accessors[primitive.indices] : null;
+                if (!position) return;
+
+                polygonCount += (indices ? indices.count : position.count) / 3;
+                vertexCount += position.count;
+                if (position.min && position.max) {
+                    expandBounds(min, max, matrix, position.min, position.max);
+                }
+            });
+        }
+        (node.children || []).forEach(child => visit(child, matrix));
+    };
+
+    const scene = (json.scenes || [])[json.scene || 0];
+    (scene ? scene.nodes : []).forEach(nodeIndex => visit(nodeIndex, IDENTITY));
+    const hasBounds = min[0] <= max[0];
+
+    const variantsExtension = json.extensions && json.extensions.KHR_materials_variants;
+
+    return {
+        polygonCount: Math.floor(polygonCount),
+        vertexCount: vertexCount,
+        meshCount: meshes.length,
+        materialCount: (json.materials || []).length,
+        bounds: hasBounds ? { min, max, size: max.map((value, axis) => value - min[axis]) } : null,
+        textures: await getTextureSizes(model, filePath),
+        animations: (json.animations || []).map((animation, index) => animation.name || `Animation ${index + 1}`),
+        variants: variantsExtension ? variantsExtension.variants.map(variant => variant.name) : [],
+        nodeNames: nodes.map(node => node.name).filter(Boolean)
+    };
+}
+
+const IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+/**
+ * Local matrix of a node (column-major, from `matrix` or translation/rotation/scale)
+ */
+function getNodeMatrix(node) {
+    if (node.matrix) return node.matrix;
+
+    const [tx, ty, tz] = node.translation || [0, 0, 0];
+    const [x, y, z, w] = node.rotation || [0, 0, 0, 1];
+    const [sx, sy, sz] = node.scale || [1, 1, 1];
+
+    return [
+        (1 - 2 * (y * y + z * z)) * sx, (2 * (x * y + z * w)) * sx, (2 * (x * z - y * w)) * sx, 0,
+        (2 * (x * y - z * w)) * sy, (1 - 2 * (x * x + z * z)) * sy, (2 * (y * z + x * w)) * sy, 0,
+        (2 * (x * z + y * w)) * sz, (2 * (y * z - x * w)) * sz, (1 - 2 * (x * x + y * y)) * sz, 0,
+        tx, ty, tz, 1
+    ];
+}
+
+function multiply(a, b) {
+    const result = new Array(16);
+    for (let column = 0; column < 4; column++) {
+        for (let row = 0; row < 4; row++) {
+            let sum = 0;
+            for (let k = 0; k < 4; k++) {
+                sum += a[k * 4 + row] * b[column * 4 + k];
+            }
+            result[column * 4 + row] = sum;
+        }
+    }
+    return result;
+}
+
+/**
+ * Grow min/max by the 8 corners of an accessor's box transformed by a matrix
+ */
+function expandBounds(min, max, matrix, boxMin, boxMax) {
+    for (let corner = 0; corner < 8; corner++) {
+        const point = [
+            corner & 1 ? boxMax[0] : boxMin[0],
+            corner & 2 ? boxMax[1] : boxMin[1],
+            corner & 4 ? boxMax[2] : boxMin[2]
+        ];
+        for (let axis = 0; axis < 3; axis++) {
+            const value = matrix[axis] * point[0] + matrix[4 + axis] * point[1] + matrix[8 + axis] * point[2] + matrix[12 + axis];
+            min[axis] = Math.min(min[axis], value);
+            max[axis] = Math.max(max[axis], value);
+        }
+    }
+}
+
+/**
+ * Pixel size of every image used by a texture (PNG and JPEG headers)
+ * @returns {Promise<Array>} - [{ name, width, height, mimeType }]; unknown formats are skipped
+ */
+async function getTextureSizes(model, filePath) {
+    const json = model.json;
+    const images = json.images || [];
+    const used = new Set((json.textures || []).map(texture => texture.source).filter(source => source !== undefined));
+    const results = [];
+
+    for (const index of used) {
+        const image = images[index];
+        if (!image) continue;
+
+        const bytes = await readImageBytes(model, image, filePath);
+        const size = bytes ? readImageSize(bytes) : null;
+        if (size) {
+            results.push({ name: image.name || image.uri || `image ${index}`, mimeType: image.mimeType || null, ...size });
+        }
+    }
+
+    return results;
+}
+
+async function readImageBytes(model, image, filePath) {
+    const json = model.json;
+
+    if (image.bufferView !== undefined) {
+        const view = json.bufferViews[image.bufferView];
+        const buffer = await readBuffer(model, view.buffer, filePath);
+        const start = view.byteOffset || 0;
+        return buffer ? buffer.subarray(start, start + view.byteLength) : null;
+    }
+
+    if (image.uri) {
+        return readUri(image.uri, filePath);
+    }
+
+    return null;
+}
+
+async function readBuffer(model, index, filePath) {
+    const buffer = model.json.buffers[index];
+    if (!buffer.uri) {
+        return index === 0 ? model.bin : null; // GLB binary chunk
+    }
+    return readUri(buffer.uri, filePath);
+}
+
+async function readUri(uri, filePath) {
+    if (uri.startsWith('data:')) {
+        return Buffer.from(uri.split(',')[1], 'base64');
+    }
+    try {
+        return await fs.readFile(path.join(path.dirname(filePath), decodeURIComponent(uri)));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Width and height from a PNG or JPEG header
+ * @returns {Object|null} - { width, height }
+ */
+export function readImageSize(bytes) {
+    // PNG: IHDR is always the first chunk
+    if (bytes.length >= 24 && bytes.readUInt32BE(0) === 0x89504e47) {
+        return { width: bytes.readUInt32BE(16), height: bytes.readUInt32BE(20) };
+    }
+
+    // JPEG: walk the segments up to the first start-of-frame marker
+    if (bytes.length >= 4 && bytes[0] === 0xff && bytes[1] === 0xd8) {
+        let offset = 2;
+        while (offset + 9 < bytes.length) {
+            if (bytes[offset] !== 0xff) return null;
+
+            const marker = bytes[offset + 1];
+            if (marker === 0xff) {
+                offset++; // Fill byte
+                continue;
+            }
+
+            const isFrame = marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc;
+            if (isFrame) {
+                return { width: bytes.readUInt16BE(offset + 7), height: bytes.readUInt16BE(offset + 5) };
+            }
+            offset += 2 + bytes.readUInt16BE(offset + 2);
+        }
+    }
+
+    return null;
+}
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+/**
+ * Check the models against CONFIG.models.recommended before publishing
+ *
+ * Runs the same AssetValidator the app uses when a model loads, on stats read
+ * straight from the files: models/garage/* is checked against the garage budgets,
+ * models/vans/* (top level only) against the van budgets.
+ * Exits with 1 when any model is over budget (or with --strict, has warnings).
+ *
+ * Usage: npm run validate [-- [--strict] [models/vans/van-031.glb ...]]
+ */
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { CONFIG } from '../js/config.js';
+import { AssetValidator } from '../js/utils/AssetValidator.js';
+import { readModel, getModelStats } from './lib/glb.mjs';
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const args = process.argv.slice(2);
+const strict = args.includes('--strict');
+const fileArgs = args.filter(arg => !arg.startsWith('--'));
+
+const modelDirs = {
+    garage: path.join(rootDir, CONFIG.models.garage.path),
+    van: path.join(rootDir, CONFIG.models.vans.basePath)
+};
+
+/**
+ * Model files to check: [{ kind, filePath }]
+ */
+async function findModels() {
+    if (fileArgs.length > 0) {
+        return fileArgs.map(file => {
+            const filePath = path.resolve(file);
+            const kind = path.dirname(filePath) === path.resolve(modelDirs.garage) ? 'garage' : 'van';
+            return { kind, filePath };
+        });
+    }
+
+    const models = [];
+    for (const [kind, dir] of Object.entries(modelDirs)) {
+        let entries = [];
+        try {
+            entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch {
+            console.warn(`Skipping ${path.relative(rootDir, dir)} (not found)`);
+        }
+
+        entries
+            .filter(entry => entry.isFile() && /\.(glb|gltf)$/i.test(entry.name))
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .forEach(entry => models.push({ kind, filePath: path.join(dir, entry.name) }));
+    }
+    return models;
+}
+
+async function main() {
+    const validator = new AssetValidator();
+    const models = await findModels();
+    let failed = 0;
+    let warned = 0;
+
+    for (const { kind, filePath } of models) {
+        const name = path.relative(rootDir, filePath);
+        let issues;
+
+        try {
+            const model = await readModel(filePath);
+            const stats = await getModelStats(model, filePath);
+            issues = validator.validate(kind, { ...stats, format: model.format, fileSize: model.fileSize });
+        } catch (error) {
+            issues = [{ severity: 'error', rule: 'read', message: `Unreadable: ${error.message}` }];
+        }
+
+        const hasErrors = AssetValidator.hasErrors(issues);
+        if (hasErrors) failed++;
+        else if (issues.length > 0) warned++;
+
+        console.log(`${hasErrors ? 'FAIL' : issues.length > 0 ? 'WARN' : 'OK  '} ${name}`);
+        issues.forEach(issue => console.log(`     ${issue.severity === 'error' ? '!' : '-'} ${issue.message}`));
+    }
+
+    console.log(`\nChecked ${models.length} models: ${failed} over budget, ${warned} with warnings`);
+    if (failed > 0 || (strict && warned > 0)) {
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});